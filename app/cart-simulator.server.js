@@ -0,0 +1,318 @@
+import { selectCartLinesDiscounts } from "../extensions/quantity-breaks-discount/src/cart_lines_discounts";
+import {
+  buildProductTierProjection,
+  buildStoreWideOrderDiscounts,
+  buildVariantTierProjection,
+  getVariantProductIds,
+  normalizeVariantIds,
+  readAutomaticDiscount,
+  readShopSettings,
+} from "./quantity-breaks.server";
+import { listRules } from "./rules.server";
+
+const MAX_SIMULATED_LINES = 50;
+const DISCOUNT_CLASS_PRODUCT = "PRODUCT";
+const DISCOUNT_CLASS_ORDER = "ORDER";
+const SIMULATOR_SOURCE_DRAFT = "draft";
+const CUSTOMER_ACCESS_ERROR =
+  "The app can't read customers yet. Approve the app's updated access in Shopify admin, then try again.";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// The date checkout sees is the shop's local date, not the server's.
+const getShopLocalDate = (timeZone, now = new Date()) => {
+  try {
+    return new Intl.DateTimeFormat("en-CA", { timeZone }).format(now);
+  } catch {
+    return now.toISOString().slice(0, 10);
+  }
+};
+
+export const readSimulatorShop = async (admin) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksSimulatorShop {
+        shop {
+          currencyCode
+          ianaTimezone
+        }
+      }
+    `,
+  );
+  const json = await response.json();
+  return {
+    currencyCode: json.data?.shop?.currencyCode || "",
+    today: getShopLocalDate(json.data?.shop?.ianaTimezone),
+  };
+};
+
+const fetchSimulatorVariants = async (admin, variantIds) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksSimulatorVariants($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            displayName
+            price
+            quantityBreaks: metafield(namespace: "quantity_breaks", key: "discounts") {
+              jsonValue
+            }
+            product {
+              id
+              quantityBreaks: metafield(namespace: "quantity_breaks", key: "discounts") {
+                jsonValue
+              }
+            }
+          }
+        }
+      }
+    `,
+    { variables: { ids: variantIds } },
+  );
+  const json = await response.json();
+  return new Map((json.data?.nodes || []).filter((node) => node?.id).map((node) => [node.id, node]));
+};
+
+const isAccessDenied = (error) =>
+  (error?.body?.errors?.graphQLErrors || []).some(
+    (entry) => entry?.extensions?.code === "ACCESS_DENIED",
+  );
+
+// Shops that installed the app before it asked for customer access still deny this query until
+// the merchant approves the new scope.
+const findCustomer = async (admin, email) => {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksSimulatorCustomer($query: String!) {
+          customers(first: 1, query: $query) {
+            nodes {
+              id
+              displayName
+              tags
+            }
+          }
+        }
+      `,
+      { variables: { query: `email:"${email.replace(/"/g, "")}"` } },
+    );
+    const json = await response.json();
+    return { customer: json.data?.customers?.nodes?.[0] || null };
+  } catch (error) {
+    if (isAccessDenied(error)) return { error: CUSTOMER_ACCESS_ERROR };
+    throw error;
+  }
+};
+
+// Swaps the live metafields for projections of the saved rules, so unpublished changes can be
+// checked before they reach checkout.
+const projectDraftRules = async ({ admin, shop, variants, discount }) => {
+  const drafts = await listRules(shop);
+  const settings = await readShopSettings(admin);
+  const productIdByVariantId = getVariantProductIds(drafts);
+  const projectedVariants = new Map(
+    Array.from(variants, ([variantId, variant]) => {
+      const productId = productIdByVariantId.get(variantId);
+      return [
+        variantId,
+        {
+          ...variant,
+          quantityBreaks: productId
+            ? { jsonValue: buildVariantTierProjection(drafts, variantId, productId, settings) }
+            : null,
+          product: {
+            ...variant.product,
+            quantityBreaks: {
+              jsonValue: buildProductTierProjection(drafts, variant.product.id, settings),
+            },
+          },
+        },
+      ];
+    }),
+  );
+  return {
+    variants: projectedVariants,
+    discount: {
+      ...discount,
+      orderDiscounts: { jsonValue: buildStoreWideOrderDiscounts(drafts) },
+      settings: { jsonValue: settings },
+    },
+  };
+};
+
+// Same shape as the function's `CartInput`. Checkout asks only about the tags rules use; every
+// tag the customer has answers those questions the same way.
+const buildCartInput = ({ lines, variants, discount, customer, b2b, market, country, date }) => ({
+  cart: {
+    buyerIdentity: {
+      customer: customer
+        ? { hasTags: (customer.tags || []).map((tag) => ({ tag, hasTag: true })) }
+        : null,
+      purchasingCompany: b2b ? { company: { id: "gid://shopify/Company/simulated" } } : null,
+    },
+    lines: lines.map((line, index) => {
+      const variant = variants.get(line.variantId);
+      return {
+        id: `gid://shopify/CartLine/${index + 1}`,
+        quantity: line.quantity,
+        cost: {
+          amountPerQuantity: { amount: variant.price },
+          subtotalAmount: { amount: String(Number.parseFloat(variant.price) * line.quantity) },
+        },
+        merchandise: {
+          __typename: "ProductVariant",
+          id: variant.id,
+          quantityBreaks: variant.quantityBreaks,
+          product: variant.product,
+        },
+      };
+    }),
+  },
+  discount,
+  localization: {
+    country: country ? { isoCode: country } : null,
+    market: market ? { handle: market } : null,
+  },
+  presentmentCurrencyRate: "1.0",
+  shop: { localTime: { date } },
+});
+
+// Applies a candidate's value the way checkout does: percentages and per-item amounts apply to
+// the units it targets, other fixed amounts to the line.
+const getCandidateAmount = (candidate, cartLine) => {
+  const [{ cartLine: target }] = candidate.targets;
+  const unitPrice = Number.parseFloat(cartLine.cost.amountPerQuantity.amount);
+  const quantity = target.quantity ?? cartLine.quantity;
+  const { percentage, fixedAmount } = candidate.value;
+  const amount = percentage
+    ? (unitPrice * quantity * percentage.value) / 100
+    : fixedAmount.appliesToEachItem
+      ? fixedAmount.amount * quantity
+      : fixedAmount.amount;
+  return roundMoney(Math.min(amount, unitPrice * cartLine.quantity));
+};
+
+// Order discounts apply after product discounts, to the lines they don't exclude. Checkout keeps
+// only the largest one.
+const selectOrderDiscount = (candidates, lineResults) =>
+  candidates
+    .map((candidate) => {
+      const excludedIds = new Set(candidate.targets[0].orderSubtotal.excludedCartLineIds);
+      const base = lineResults
+        .filter((line) => !excludedIds.has(line.cartLineId))
+        .reduce((sum, line) => sum + line.total, 0);
+      const amount = candidate.value.percentage
+        ? (base * candidate.value.percentage.value) / 100
+        : Math.min(candidate.value.fixedAmount.amount, base);
+      return { message: candidate.message, amount: roundMoney(amount) };
+    })
+    .filter((discount) => discount.amount > 0)
+    .reduce((best, discount) => (!best || discount.amount > best.amount ? discount : best), null);
+
+// Runs the function's own tier selection against a cart built from the live metafields, so the
+// result matches checkout for the shop's currency. With the draft source the cart is built from
+// the saved rules instead, as checkout would see them once they're all published.
+export const simulateCart = async ({
+  admin,
+  shop,
+  source,
+  lines,
+  email,
+  b2b,
+  market,
+  country,
+  date,
+}) => {
+  const cartLines = lines
+    .map((line) => ({
+      variantId: normalizeVariantIds([line?.variantId])[0],
+      quantity: Number.parseInt(String(line?.quantity ?? ""), 10),
+    }))
+    .filter((line) => line.variantId && Number.isInteger(line.quantity) && line.quantity > 0);
+  if (cartLines.length === 0) {
+    return { ok: false, errors: ["Add at least one variant with a quantity of 1 or more."] };
+  }
+  if (cartLines.length > MAX_SIMULATED_LINES) {
+    return { ok: false, errors: [`Simulate at most ${MAX_SIMULATED_LINES} lines at a time.`] };
+  }
+
+  const liveDiscount = await readAutomaticDiscount(admin);
+  if (!liveDiscount) {
+    return {
+      ok: false,
+      errors: ["The Quantity Breaks discount does not exist, so checkout applies no tiers."],
+    };
+  }
+
+  const customerEmail = String(email || "").trim();
+  const { customer = null, error: customerError } = customerEmail
+    ? await findCustomer(admin, customerEmail)
+    : {};
+  if (customerError) return { ok: false, errors: [customerError] };
+  if (customerEmail && !customer) {
+    return { ok: false, errors: [`No customer has the email ${customerEmail}.`] };
+  }
+
+  const liveVariants = await fetchSimulatorVariants(
+    admin,
+    Array.from(new Set(cartLines.map((line) => line.variantId))),
+  );
+  const foundLines = cartLines.filter((line) => liveVariants.has(line.variantId));
+  if (foundLines.length === 0) {
+    return { ok: false, errors: ["None of these variants exist any more."] };
+  }
+  const { variants, discount } =
+    source === SIMULATOR_SOURCE_DRAFT
+      ? await projectDraftRules({ admin, shop, variants: liveVariants, discount: liveDiscount })
+      : { variants: liveVariants, discount: liveDiscount };
+
+  const input = buildCartInput({
+    lines: foundLines,
+    variants,
+    discount,
+    customer,
+    b2b: Boolean(b2b),
+    market: String(market || "").trim().toLowerCase(),
+    country: String(country || "").trim().toUpperCase(),
+    date: String(date || "").trim(),
+  });
+  const { orderCandidates, productCandidates } = selectCartLinesDiscounts(input);
+  const productDiscountsApply = discount.discountClasses.includes(DISCOUNT_CLASS_PRODUCT);
+  const orderDiscountsApply = discount.discountClasses.includes(DISCOUNT_CLASS_ORDER);
+
+  const lineResults = input.cart.lines.map((cartLine) => {
+    const candidate = productDiscountsApply
+      ? productCandidates.find((entry) => entry.targets[0].cartLine.id === cartLine.id)
+      : null;
+    const subtotal = roundMoney(
+      Number.parseFloat(cartLine.cost.amountPerQuantity.amount) * cartLine.quantity,
+    );
+    const discountAmount = candidate ? getCandidateAmount(candidate, cartLine) : 0;
+    return {
+      cartLineId: cartLine.id,
+      variantId: cartLine.merchandise.id,
+      title: variants.get(cartLine.merchandise.id).displayName,
+      quantity: cartLine.quantity,
+      unitPrice: Number.parseFloat(cartLine.cost.amountPerQuantity.amount),
+      subtotal,
+      message: candidate?.message || "",
+      discount: discountAmount,
+      total: roundMoney(subtotal - discountAmount),
+    };
+  });
+  const orderDiscount = orderDiscountsApply
+    ? selectOrderDiscount(orderCandidates, lineResults)
+    : null;
+  const linesTotal = roundMoney(lineResults.reduce((sum, line) => sum + line.total, 0));
+
+  return {
+    ok: true,
+    discountActive: discount.status === "ACTIVE",
+    customer: customer ? { name: customer.displayName, tags: customer.tags || [] } : null,
+    lines: lineResults,
+    orderDiscount,
+    subtotal: roundMoney(lineResults.reduce((sum, line) => sum + line.subtotal, 0)),
+    total: roundMoney(linesTotal - (orderDiscount?.amount || 0)),
+  };
+};
@@ -0,0 +1,106 @@
+import { enqueueProjectionRebuild } from "./projection-jobs.server";
+import {
+  buildProductTierProjection,
+  buildVariantTierProjection,
+  fetchProductProjectionsPage,
+  fetchVariantProjectionsPage,
+  getVariantProductIds,
+  readDiscountConfig,
+  readShopSettings,
+} from "./quantity-breaks.server";
+import { listPublishedRules, syncPublishedRules, toCanonicalJson } from "./rules.server";
+
+export const PROJECTION_ISSUE_MISSING = "missing";
+export const PROJECTION_ISSUE_MISMATCH = "mismatch";
+export const PROJECTION_ISSUE_ORPHAN = "orphan";
+
+export const PROJECTION_RESOURCE_PRODUCT = "product";
+export const PROJECTION_RESOURCE_VARIANT = "variant";
+
+// Unreadable values count as present but wrong, so they are rewritten by a repair.
+const parseProjection = (value) => {
+  if (value === null) return null;
+  try {
+    const tiers = JSON.parse(value);
+    return Array.isArray(tiers) ? tiers : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+const getProductIssue = (actual, expected) => {
+  if (expected.length === 0) {
+    return actual === null || actual?.length === 0 ? null : PROJECTION_ISSUE_ORPHAN;
+  }
+  if (actual === null) return PROJECTION_ISSUE_MISSING;
+  return toCanonicalJson(actual) === toCanonicalJson(expected) ? null : PROJECTION_ISSUE_MISMATCH;
+};
+
+// Variants only carry a projection while a published rule overrides them; any other value is
+// left over from a rule that no longer does.
+const getVariantIssue = (actual, expected) => {
+  if (expected === null) return actual === null ? null : PROJECTION_ISSUE_ORPHAN;
+  if (actual === null) return PROJECTION_ISSUE_MISSING;
+  return toCanonicalJson(actual) === toCanonicalJson(expected) ? null : PROJECTION_ISSUE_MISMATCH;
+};
+
+// Checks one page of products or variants, so a large catalog is walked over several requests
+// instead of one that outlasts the request timeout. Pass `cursor` back with the same resource
+// until it is null. Orphans still carry tiers although no published rule covers them any more.
+export const checkProjectionHealth = async ({
+  admin,
+  shop,
+  resource = PROJECTION_RESOURCE_PRODUCT,
+  cursor = null,
+}) => {
+  const discounts = await listPublishedRules(shop);
+  const settings = await readShopSettings(admin);
+  const { config } = await readDiscountConfig(admin);
+  const isVariantPage = resource === PROJECTION_RESOURCE_VARIANT;
+  const page = isVariantPage
+    ? await fetchVariantProjectionsPage(admin, cursor)
+    : await fetchProductProjectionsPage(admin, cursor);
+  const productIdByVariantId = getVariantProductIds(discounts);
+
+  const issues = page.projections
+    .map((projection) => {
+      const actual = parseProjection(projection.value);
+      const productId = productIdByVariantId.get(projection.id);
+      const issue = !isVariantPage
+        ? getProductIssue(actual, buildProductTierProjection(discounts, projection.id, settings))
+        : getVariantIssue(
+            actual,
+            productId
+              ? buildVariantTierProjection(discounts, projection.id, productId, settings)
+              : null,
+          );
+      return issue ? { id: projection.id, title: projection.title, resource, issue } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    resource,
+    checked: page.projections.length,
+    cursor: page.cursor,
+    configInSync: toCanonicalJson(config.discounts || []) === toCanonicalJson(discounts),
+    issues,
+  };
+};
+
+// Rewrites the shop config first when it has drifted, then queues the listed products and variants
+// for a rebuild, which writes the expected projection or clears an orphaned one.
+export const repairProjectionIssues = async ({
+  admin,
+  shop,
+  productIds = [],
+  variantIds = [],
+  syncConfig = false,
+}) => {
+  if (syncConfig) {
+    const errors = await syncPublishedRules({ admin, shop });
+    if (errors.length > 0) return { ok: false, errors };
+  }
+
+  const jobId = await enqueueProjectionRebuild({ shop, productIds, variantIds });
+  return { ok: true, jobId };
+};
@@ -0,0 +1,264 @@
+import db from "./db.server";
+import {
+  normalizeProductIds,
+  normalizeVariantIds,
+  recomputeProductDiscountProjectionMetafields,
+} from "./quantity-breaks.server";
+import { listPublishedRules } from "./rules.server";
+
+export const PROJECTION_JOB_QUEUED = "queued";
+export const PROJECTION_JOB_RUNNING = "running";
+export const PROJECTION_JOB_COMPLETED = "completed";
+export const PROJECTION_JOB_FAILED = "failed";
+
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 5;
+const POLL_INTERVAL_MS = 5_000;
+const STALE_LOCK_MS = 10 * 60_000;
+const MAX_RETRY_DELAY_MS = 5 * 60_000;
+const MAX_ERROR_LENGTH = 1000;
+
+const getResourceIds = (job) => (Array.isArray(job.resourceIds) ? job.resourceIds : []);
+
+const wakeProjectionJobWorker = () => global.projectionJobWorker?.wake();
+
+// Folds the rebuild into the shop's next queued job when there is one, so repeated logins or
+// settings changes don't stack up duplicate work. IDs are appended, which keeps the progress of
+// a job waiting to retry valid. Returns null without queueing anything when there are no IDs.
+export const enqueueProjectionRebuild = async ({ shop, productIds = [], variantIds = [] }) => {
+  const ids = [...normalizeProductIds(productIds), ...normalizeVariantIds(variantIds)];
+  if (ids.length === 0) return null;
+
+  const queued = await db.projectionJob.findFirst({
+    where: { shop, status: PROJECTION_JOB_QUEUED },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (queued) {
+    const resourceIds = Array.from(new Set([...getResourceIds(queued), ...ids]));
+    const { count } = await db.projectionJob.updateMany({
+      where: { id: queued.id, status: PROJECTION_JOB_QUEUED },
+      data: { resourceIds, total: resourceIds.length },
+    });
+    if (count === 1) {
+      wakeProjectionJobWorker();
+      return queued.id;
+    }
+  }
+
+  const resourceIds = Array.from(new Set(ids));
+  const job = await db.projectionJob.create({
+    data: { shop, resourceIds, total: resourceIds.length },
+  });
+  wakeProjectionJobWorker();
+  return job.id;
+};
+
+export const getProjectionJobStatus = async (shop) => {
+  const job = await db.projectionJob.findFirst({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    status: job.status,
+    processed: job.processed,
+    total: job.total,
+    error: job.error,
+    finishedAt: job.finishedAt?.toISOString() ?? null,
+  };
+};
+
+export const retryProjectionJob = async (shop, id) => {
+  const { count } = await db.projectionJob.updateMany({
+    where: { id, shop, status: PROJECTION_JOB_FAILED },
+    data: {
+      status: PROJECTION_JOB_QUEUED,
+      processed: 0,
+      attempts: 0,
+      error: null,
+      runAfter: new Date(),
+      finishedAt: null,
+    },
+  });
+  if (count === 1) wakeProjectionJobWorker();
+  return count === 1;
+};
+
+// The Admin API reports throttling either as HTTP 429 or as a THROTTLED GraphQL error.
+const isThrottledError = (error) =>
+  error?.response?.code === 429 ||
+  JSON.stringify(error?.body?.errors ?? error?.message ?? "").includes("THROTTLED");
+
+const getRetryDelay = (attempts) => Math.min(2 ** attempts * 1000, MAX_RETRY_DELAY_MS);
+
+// Jobs left running by a process that died are picked up again once their lock goes stale.
+const claimNextJob = async () => {
+  const now = new Date();
+  const job = await db.projectionJob.findFirst({
+    where: {
+      OR: [
+        { status: PROJECTION_JOB_QUEUED, runAfter: { lte: now } },
+        {
+          status: PROJECTION_JOB_RUNNING,
+          lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) },
+        },
+      ],
+    },
+    orderBy: { runAfter: "asc" },
+  });
+  if (!job) return null;
+
+  const { count } = await db.projectionJob.updateMany({
+    where: { id: job.id, status: job.status, updatedAt: job.updatedAt },
+    data: { status: PROJECTION_JOB_RUNNING, lockedAt: now },
+  });
+  return count === 1 ? job : null;
+};
+
+// Every batch re-reads the published rules, so a rule published mid-job is projected with its
+// latest version. Metafield user errors don't stop the job; they fail it once it has finished.
+// Past the deadline the job yields after its current batch; errors from earlier slices are kept
+// in `error` until it resumes.
+const runJob = async (job, getAdmin, deadline) => {
+  const { admin } = await getAdmin(job.shop);
+  const resourceIds = getResourceIds(job);
+  const errors = job.attempts === 0 && job.error ? [job.error] : [];
+  let processed = job.processed;
+
+  while (processed < resourceIds.length) {
+    if (Date.now() >= deadline) return { errors, finished: false };
+
+    const batch = resourceIds.slice(processed, processed + BATCH_SIZE);
+    const discounts = await listPublishedRules(job.shop);
+    errors.push(
+      ...(await recomputeProductDiscountProjectionMetafields({
+        admin,
+        discounts,
+        affectedProductIds: normalizeProductIds(batch),
+        affectedVariantIds: normalizeVariantIds(batch),
+      })),
+    );
+    processed += batch.length;
+    await db.projectionJob.update({
+      where: { id: job.id },
+      data: { processed, attempts: 0, error: null, lockedAt: new Date() },
+    });
+  }
+
+  return { errors, finished: true };
+};
+
+const getErrorSummary = (errors) =>
+  (errors.length === 1 ? errors[0] : `${errors[0]} (and ${errors.length - 1} more)`).slice(
+    0,
+    MAX_ERROR_LENGTH,
+  );
+
+const processJob = async (job, getAdmin, deadline) => {
+  try {
+    const { errors, finished } = await runJob(job, getAdmin, deadline);
+    if (!finished) {
+      await db.projectionJob.update({
+        where: { id: job.id },
+        data: {
+          status: PROJECTION_JOB_QUEUED,
+          error: errors.length > 0 ? getErrorSummary(errors) : null,
+          lockedAt: null,
+          runAfter: new Date(),
+        },
+      });
+      return;
+    }
+
+    await db.projectionJob.update({
+      where: { id: job.id },
+      data: {
+        status: errors.length > 0 ? PROJECTION_JOB_FAILED : PROJECTION_JOB_COMPLETED,
+        error: errors.length > 0 ? getErrorSummary(errors) : null,
+        lockedAt: null,
+        finishedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    const current = await db.projectionJob.findUnique({ where: { id: job.id } });
+    const attempts = (current?.attempts ?? job.attempts) + 1;
+    const message = String(error?.message || error).slice(0, MAX_ERROR_LENGTH);
+
+    // Throttling always clears up, so it is retried for as long as it takes.
+    if (!isThrottledError(error) && attempts >= MAX_ATTEMPTS) {
+      console.error(`Projection job ${job.id} for ${job.shop} failed`, error);
+      await db.projectionJob.update({
+        where: { id: job.id },
+        data: {
+          status: PROJECTION_JOB_FAILED,
+          attempts,
+          error: message,
+          lockedAt: null,
+          finishedAt: new Date(),
+        },
+      });
+      return;
+    }
+
+    await db.projectionJob.update({
+      where: { id: job.id },
+      data: {
+        status: PROJECTION_JOB_QUEUED,
+        attempts,
+        error: message,
+        lockedAt: null,
+        runAfter: new Date(Date.now() + getRetryDelay(attempts)),
+      },
+    });
+  }
+};
+
+// Works through jobs that are due until none are left or the time limit passes. `getAdmin(shop)`
+// returns `{ admin }` for the shop's offline session. Returns how many jobs it worked on.
+export const runProjectionJobs = async ({ getAdmin, timeLimitMs = Infinity }) => {
+  const deadline = Date.now() + timeLimitMs;
+  let count = 0;
+  while (Date.now() < deadline) {
+    const job = await claimNextJob();
+    if (!job) break;
+    await processJob(job, getAdmin, deadline);
+    count += 1;
+  }
+  return count;
+};
+
+const createWorker = (getAdmin) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    clearTimeout(timer);
+    try {
+      await runProjectionJobs({ getAdmin });
+    } catch (error) {
+      console.error("Projection job runner failed", error);
+    } finally {
+      running = false;
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+      timer.unref?.();
+    }
+  };
+
+  return { wake: () => void tick() };
+};
+
+// One polling runner per long-running process, kept on `global` so development reloads don't
+// start another. Serverless hosts freeze the process between requests, so there the cron route
+// calls runProjectionJobs instead.
+export const startProjectionJobWorker = ({ getAdmin }) => {
+  if (!global.projectionJobWorker) {
+    global.projectionJobWorker = createWorker(getAdmin);
+    global.projectionJobWorker.wake();
+  }
+  return global.projectionJobWorker;
+};
@@ -1,9 +1,91 @@
+import { createHash, randomUUID } from "node:crypto";
+import {
+  RULE_KIND_BXGY,
+  RULE_KIND_ORDER,
+  RULE_KIND_PRODUCT,
+  RULE_KINDS,
+  normalizeCollectionId,
+  normalizeCollectionIds,
+  normalizeCustomerTags,
+  normalizeProductId,
+  normalizeProductIds,
+  normalizeRuleKind,
+  normalizeVariantId,
+  normalizeVariantIds,
+} from "./rule-normalizers";
+
+export {
+  RULE_KIND_BXGY,
+  RULE_KIND_ORDER,
+  RULE_KIND_PRODUCT,
+  RULE_KINDS,
+  normalizeCollectionId,
+  normalizeCollectionIds,
+  normalizeCustomerTags,
+  normalizeProductId,
+  normalizeProductIds,
+  normalizeRuleKind,
+  normalizeVariantId,
+  normalizeVariantIds,
+};
+
 export const QUANTITY_BREAKS_NAMESPACE = "quantity_breaks";
 export const QUANTITY_BREAKS_KEY = "discounts";
 export const QUANTITY_BREAKS_TYPE = "json";
+export const QUANTITY_BREAKS_FUNCTION_INPUT_KEY = "function_input";
+export const QUANTITY_BREAKS_ORDER_DISCOUNTS_KEY = "order_discounts";
+export const QUANTITY_BREAKS_SETTINGS_KEY = "settings";
+export const QUANTITY_BREAKS_DISCOUNT_TITLE = "Quantity Breaks";
 
 const MAX_METAFIELDS_SET = 25;
 
+export const RULE_COUNT_BY_VARIANT = "variant";
+export const RULE_COUNT_BY_PRODUCT = "product";
+export const RULE_COUNT_BY_RULE = "rule";
+export const RULE_COUNT_BY_MODES = [
+  RULE_COUNT_BY_VARIANT,
+  RULE_COUNT_BY_PRODUCT,
+  RULE_COUNT_BY_RULE,
+];
+
+export const RULE_PRICING_ALL_UNITS = "all_units";
+export const RULE_PRICING_GRADUATED = "graduated";
+export const RULE_PRICING_MODES = [RULE_PRICING_ALL_UNITS, RULE_PRICING_GRADUATED];
+
+export const PROJECTION_TARGET_SHIPPING = "shipping";
+export const PROJECTION_TARGET_ORDER = "order";
+export const PROJECTION_TARGET_BXGY = "bxgy";
+
+export const BXGY_REWARD_CHEAPEST = "cheapest";
+export const BXGY_REWARD_SAME_ITEM = "same_item";
+export const BXGY_REWARDS = [BXGY_REWARD_CHEAPEST, BXGY_REWARD_SAME_ITEM];
+
+export const ORDER_THRESHOLD_QUANTITY = "quantity";
+export const ORDER_THRESHOLD_SUBTOTAL = "subtotal";
+export const ORDER_THRESHOLDS = [ORDER_THRESHOLD_QUANTITY, ORDER_THRESHOLD_SUBTOTAL];
+
+export const RULE_BUYER_ALL = "all";
+export const RULE_BUYER_B2B = "b2b";
+export const RULE_BUYER_RETAIL = "retail";
+export const RULE_BUYER_TYPES = [RULE_BUYER_ALL, RULE_BUYER_B2B, RULE_BUYER_RETAIL];
+
+export const CONFLICT_STRATEGY_BEST_DISCOUNT = "best_discount";
+export const CONFLICT_STRATEGY_PRIORITY = "priority";
+export const CONFLICT_STRATEGY_STACK = "stack";
+export const CONFLICT_STRATEGIES = [
+  CONFLICT_STRATEGY_BEST_DISCOUNT,
+  CONFLICT_STRATEGY_PRIORITY,
+  CONFLICT_STRATEGY_STACK,
+];
+
+export const toKebabCase = (value) =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-");
+
 export const parseDiscountConfig = (value) => {
   if (!value) return { discounts: [] };
 
@@ -17,47 +99,132 @@ export const parseDiscountConfig = (value) => {
   }
 };
 
+export const TIER_TYPE_PERCENTAGE = "percentage";
+export const TIER_TYPE_FIXED_AMOUNT = "fixed_amount";
+export const TIER_TYPE_FIXED_UNIT_PRICE = "fixed_unit_price";
+export const TIER_TYPES = [
+  TIER_TYPE_PERCENTAGE,
+  TIER_TYPE_FIXED_AMOUNT,
+  TIER_TYPE_FIXED_UNIT_PRICE,
+];
+
+const parseMoneyAmount = (value) => {
+  const amount = Number.parseFloat(String(value ?? "").trim());
+  if (!Number.isFinite(amount)) return Number.NaN;
+  return Math.round(amount * 100) / 100;
+};
+
 export const normalizeStoredTier = (tier = {}) => {
   const minQuantity = Number.parseInt(String(tier?.min_quantity ?? "").trim(), 10);
-  const percentOff = Number.parseInt(String(tier?.percent_off ?? "").trim(), 10);
   const title = String(tier?.title || "").trim();
+  const type = String(tier?.type || TIER_TYPE_PERCENTAGE).trim();
 
   if (!title) return null;
   if (!Number.isInteger(minQuantity) || minQuantity <= 0) return null;
+  if (!TIER_TYPES.includes(type)) return null;
+
+  if (type === TIER_TYPE_FIXED_AMOUNT) {
+    const amountOff = parseMoneyAmount(tier?.amount_off);
+    if (!Number.isFinite(amountOff) || amountOff <= 0) return null;
+
+    return {
+      title,
+      min_quantity: minQuantity,
+      type,
+      amount_off: amountOff,
+    };
+  }
+
+  if (type === TIER_TYPE_FIXED_UNIT_PRICE) {
+    const unitPrice = parseMoneyAmount(tier?.unit_price);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return null;
+
+    return {
+      title,
+      min_quantity: minQuantity,
+      type,
+      unit_price: unitPrice,
+    };
+  }
+
+  const percentOff = Number.parseInt(String(tier?.percent_off ?? "").trim(), 10);
   if (!Number.isInteger(percentOff) || percentOff < 0 || percentOff > 100) return null;
 
   return {
     title,
     min_quantity: minQuantity,
+    type,
     percent_off: percentOff,
   };
 };
 
-export const normalizeProductId = (product) => {
-  if (typeof product === "string" && product.startsWith("gid://shopify/Product/")) {
-    return product;
-  }
+export const createRuleId = () => randomUUID();
 
-  if (
-    product &&
-    typeof product === "object" &&
-    typeof product.id === "string" &&
-    product.id.startsWith("gid://shopify/Product/")
-  ) {
-    return product.id;
-  }
+export const getRuleKey = (rule = {}) =>
+  typeof rule?.id === "string" && rule.id.trim()
+    ? rule.id.trim()
+    : toKebabCase(rule?.title || "");
+
+export const normalizeRuleCountBy = (countBy) =>
+  RULE_COUNT_BY_MODES.includes(countBy) ? countBy : RULE_COUNT_BY_VARIANT;
 
-  return "";
+export const normalizeRulePricing = (pricing) =>
+  RULE_PRICING_MODES.includes(pricing) ? pricing : RULE_PRICING_ALL_UNITS;
+
+export const normalizeRulePriority = (priority) => {
+  const parsed = Number.parseInt(String(priority ?? "").trim(), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 0;
 };
 
-export const normalizeProductIds = (products) =>
-  Array.from(
-    new Set(
-      (Array.isArray(products) ? products : [])
-        .map((product) => normalizeProductId(product))
-        .filter(Boolean),
-    ),
-  );
+// Caps limit what a product or buy X get Y rule gives away: per cart line, per
+// order across the rule, and in discounted units per order.
+export const normalizeRuleCaps = (caps = {}) => {
+  const maxLineAmount = parseMoneyAmount(caps?.max_line_amount);
+  const maxRuleAmount = parseMoneyAmount(caps?.max_rule_amount);
+  const maxUnits = Number.parseInt(String(caps?.max_units ?? "").trim(), 10);
+
+  return {
+    ...(maxLineAmount > 0 ? { max_line_amount: maxLineAmount } : {}),
+    ...(maxRuleAmount > 0 ? { max_rule_amount: maxRuleAmount } : {}),
+    ...(Number.isInteger(maxUnits) && maxUnits > 0 ? { max_units: maxUnits } : {}),
+  };
+};
+
+export const getRuleCaps = (rule = {}) => normalizeRuleCaps(rule?.caps);
+
+// The stack cap is the most a line can be discounted, as a percentage of its subtotal.
+export const normalizeShopSettings = (settings = {}) => {
+  const conflictStrategy = CONFLICT_STRATEGIES.includes(settings?.conflict_strategy)
+    ? settings.conflict_strategy
+    : CONFLICT_STRATEGY_BEST_DISCOUNT;
+  const stackCap = Number.parseFloat(String(settings?.stack_cap ?? "").trim());
+
+  return {
+    conflict_strategy: conflictStrategy,
+    stack_cap: Number.isFinite(stackCap) && stackCap > 0 && stackCap <= 100 ? stackCap : 100,
+  };
+};
+
+export const normalizeRuleDate = (value) => {
+  const date = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return "";
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) return "";
+  return date;
+};
+
+export const getRuleSchedule = (rule = {}) => ({
+  startsAt: normalizeRuleDate(rule?.starts_at),
+  endsAt: normalizeRuleDate(rule?.ends_at),
+});
+
+export const normalizeRuleBuyer = (buyer) =>
+  RULE_BUYER_TYPES.includes(buyer) ? buyer : RULE_BUYER_ALL;
+
+export const getRuleEligibility = (rule = {}) => ({
+  buyer: normalizeRuleBuyer(rule?.buyer),
+  customerTags: normalizeCustomerTags(rule?.customer_tags),
+});
 
 export const normalizeTierDiscountAllocations = (allocations) =>
   Array.from(
@@ -112,7 +279,7 @@ export const getTierDiscountIds = (tier = {}, fallbackProductIds = []) =>
     .map((allocation) => allocation.discount_id)
     .filter(Boolean);
 
-export const getRuleProductIds = (rule = {}) => {
+export const getRuleSelectedProductIds = (rule = {}) => {
   const directProductIds = normalizeProductIds(rule.products);
   if (directProductIds.length > 0) return directProductIds;
 
@@ -129,36 +296,399 @@ export const getRuleProductIds = (rule = {}) => {
   return productIdsFromTiers;
 };
 
+export const getRuleCollectionIds = (rule = {}) => normalizeCollectionIds(rule?.collections);
+
+export const getRuleProductIds = (rule = {}) =>
+  Array.from(
+    new Set([
+      ...getRuleSelectedProductIds(rule),
+      ...(getRuleCollectionIds(rule).length > 0
+        ? normalizeProductIds(rule?.collection_product_ids)
+        : []),
+    ]),
+  );
+
+export const normalizeRuleVariantEntry = (entry = {}) => {
+  const id = normalizeVariantId(entry);
+  const productId = normalizeProductId(entry?.product_id);
+  if (!id || !productId) return null;
+
+  const tiers = (Array.isArray(entry?.tiers) ? entry.tiers : [])
+    .map((tier) => normalizeStoredTier(tier))
+    .filter(Boolean)
+    .sort((left, right) => left.min_quantity - right.min_quantity);
+
+  return {
+    id,
+    product_id: productId,
+    ...(entry?.excluded === true ? { excluded: true } : {}),
+    ...(entry?.excluded !== true && tiers.length > 0 ? { tiers } : {}),
+  };
+};
+
+export const getRuleVariantEntries = (rule = {}) =>
+  Array.from(
+    (Array.isArray(rule?.variants) ? rule.variants : [])
+      .map((entry) => normalizeRuleVariantEntry(entry))
+      .filter(Boolean)
+      .reduce((acc, entry) => {
+        if (!acc.has(entry.id)) acc.set(entry.id, entry);
+        return acc;
+      }, new Map())
+      .values(),
+  );
+
+export const getRuleVariantIds = (rule = {}) =>
+  getRuleVariantEntries(rule).map((entry) => entry.id);
+
+export const normalizeRuleMarketTierSet = (entry = {}) => {
+  const market = String(entry?.market || "").trim().toLowerCase();
+  const country = String(entry?.country || "").trim().toUpperCase();
+  const tiers = (Array.isArray(entry?.tiers) ? entry.tiers : [])
+    .map((tier) => normalizeStoredTier(tier))
+    .filter(Boolean)
+    .sort((left, right) => left.min_quantity - right.min_quantity);
+  if (tiers.length === 0) return null;
+
+  if (market) return { market, tiers };
+  if (/^[A-Z]{2}$/.test(country)) return { country, tiers };
+  return null;
+};
+
+export const getMarketTierSetKey = (entry = {}) =>
+  entry.market ? `market:${entry.market}` : `country:${entry.country}`;
+
+export const getRuleMarketTierSets = (rule = {}) =>
+  Array.from(
+    (Array.isArray(rule?.market_tiers) ? rule.market_tiers : [])
+      .map((entry) => normalizeRuleMarketTierSet(entry))
+      .filter(Boolean)
+      .reduce((acc, entry) => {
+        const key = getMarketTierSetKey(entry);
+        if (!acc.has(key)) acc.set(key, entry);
+        return acc;
+      }, new Map())
+      .values(),
+  );
+
+export const normalizeShippingTier = (tier = {}) => {
+  const normalizedTier = normalizeStoredTier({ ...tier, type: TIER_TYPE_PERCENTAGE });
+  if (!normalizedTier || normalizedTier.percent_off <= 0) return null;
+  return normalizedTier;
+};
+
+export const getRuleShippingTiers = (rule = {}) =>
+  (Array.isArray(rule?.shipping_tiers) ? rule.shipping_tiers : [])
+    .map((tier) => normalizeShippingTier(tier))
+    .filter(Boolean)
+    .sort((left, right) => left.min_quantity - right.min_quantity);
+
+export const normalizeOrderThreshold = (threshold) =>
+  ORDER_THRESHOLDS.includes(threshold) ? threshold : ORDER_THRESHOLD_QUANTITY;
+
+export const normalizeOrderTier = (tier = {}, threshold = ORDER_THRESHOLD_QUANTITY) => {
+  const title = String(tier?.title || "").trim();
+  const type = String(tier?.type || TIER_TYPE_PERCENTAGE).trim();
+  if (!title) return null;
+
+  const minimum =
+    threshold === ORDER_THRESHOLD_SUBTOTAL
+      ? { min_subtotal: parseMoneyAmount(tier?.min_subtotal) }
+      : { min_quantity: Number.parseInt(String(tier?.min_quantity ?? "").trim(), 10) };
+  if (threshold === ORDER_THRESHOLD_SUBTOTAL && !(minimum.min_subtotal > 0)) return null;
+  if (
+    threshold !== ORDER_THRESHOLD_SUBTOTAL &&
+    (!Number.isInteger(minimum.min_quantity) || minimum.min_quantity <= 0)
+  ) {
+    return null;
+  }
+
+  if (type === TIER_TYPE_FIXED_AMOUNT) {
+    const amountOff = parseMoneyAmount(tier?.amount_off);
+    if (!Number.isFinite(amountOff) || amountOff <= 0) return null;
+    return { title, ...minimum, type, amount_off: amountOff };
+  }
+
+  if (type !== TIER_TYPE_PERCENTAGE) return null;
+  const percentOff = Number.parseInt(String(tier?.percent_off ?? "").trim(), 10);
+  if (!Number.isInteger(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+  return { title, ...minimum, type, percent_off: percentOff };
+};
+
+const getOrderTierMinimum = (tier) => tier.min_subtotal ?? tier.min_quantity;
+
+export const getRuleOrderSettings = (rule = {}) => {
+  const threshold = normalizeOrderThreshold(rule?.order_threshold);
+  return {
+    threshold,
+    allProducts: rule?.all_products === true,
+    tiers: (Array.isArray(rule?.order_tiers) ? rule.order_tiers : [])
+      .map((tier) => normalizeOrderTier(tier, threshold))
+      .filter(Boolean)
+      .sort((left, right) => getOrderTierMinimum(left) - getOrderTierMinimum(right)),
+  };
+};
+
+export const normalizeBxgyOffer = (offer = {}) => {
+  const title = String(offer?.title || "").trim();
+  const buyQuantity = Number.parseInt(String(offer?.buy_quantity ?? "").trim(), 10);
+  const getQuantity = Number.parseInt(String(offer?.get_quantity ?? "").trim(), 10);
+  const percentOff = Number.parseInt(String(offer?.percent_off ?? "").trim(), 10);
+
+  if (!title) return null;
+  if (!Number.isInteger(buyQuantity) || buyQuantity <= 0) return null;
+  if (!Number.isInteger(getQuantity) || getQuantity <= 0) return null;
+  if (!Number.isInteger(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+
+  return {
+    title,
+    buy_quantity: buyQuantity,
+    get_quantity: getQuantity,
+    percent_off: percentOff,
+    reward: BXGY_REWARDS.includes(offer?.reward) ? offer.reward : BXGY_REWARD_CHEAPEST,
+  };
+};
+
+export const getRuleBxgyOffer = (rule = {}) =>
+  normalizeRuleKind(rule?.kind) === RULE_KIND_BXGY ? normalizeBxgyOffer(rule?.bxgy) : null;
+
 const normalizeTierForProjection = (tier = {}) => {
   const normalizedTier = normalizeStoredTier(tier);
   if (!normalizedTier) return null;
   return normalizedTier;
 };
 
-const buildProductTierProjection = (discounts, productId) => {
-  const byMinQuantity = new Map();
+const isBetterTier = (candidate, existing) => {
+  if (candidate.type === TIER_TYPE_FIXED_AMOUNT) return candidate.amount_off > existing.amount_off;
+  if (candidate.type === TIER_TYPE_FIXED_UNIT_PRICE) return candidate.unit_price < existing.unit_price;
+  return candidate.percent_off > existing.percent_off;
+};
 
-  for (const rule of Array.isArray(discounts) ? discounts : []) {
-    if (rule?.status === "inactive") continue;
-    const ruleProductIds = getRuleProductIds(rule);
-    if (!ruleProductIds.includes(productId)) continue;
+const getProjectionGroupKey = (rule, countBy) => {
+  const { startsAt, endsAt } = getRuleSchedule(rule);
+  const { buyer, customerTags } = getRuleEligibility(rule);
+  const scopeKey = countBy === RULE_COUNT_BY_RULE ? `${countBy}|${getRuleKey(rule)}` : countBy;
+  return `${scopeKey}|${startsAt}|${endsAt}|${buyer}|${customerTags.join(",")}`;
+};
 
-    for (const tier of Array.isArray(rule?.tiers) ? rule.tiers : []) {
-      const normalizedTier = normalizeTierForProjection(tier);
-      if (!normalizedTier) continue;
+const mergeProjectionTiers = (tiersByKey, tiers) => {
+  for (const tier of tiers) {
+    const normalizedTier = normalizeTierForProjection(tier);
+    if (!normalizedTier) continue;
 
-      const existing = byMinQuantity.get(normalizedTier.min_quantity);
-      if (!existing || normalizedTier.percent_off > existing.percent_off) {
-        byMinQuantity.set(normalizedTier.min_quantity, normalizedTier);
-      }
+    const tierKey = `${normalizedTier.type}|${normalizedTier.min_quantity}`;
+    const existing = tiersByKey.get(tierKey);
+    if (!existing || isBetterTier(normalizedTier, existing)) {
+      tiersByKey.set(tierKey, normalizedTier);
     }
   }
+};
+
+const sortProjectionTiers = (tiersByKey) =>
+  Array.from(tiersByKey.values()).sort((left, right) => left.min_quantity - right.min_quantity);
+
+const hasLineLevelTiers = (applicable) =>
+  applicable.tiers.length > 0 ||
+  applicable.marketTierSets.length > 0 ||
+  Boolean(applicable.bxgyOffer);
+
+// Under the priority strategy only the highest-priority rules keep their product and
+// buy X get Y tiers here; order and shipping tiers never compete with them.
+const resolveApplicableRules = (discounts, getApplicableTiers, settings) => {
+  const entries = (Array.isArray(discounts) ? discounts : [])
+    .filter((rule) => rule?.status !== "inactive")
+    .map((rule) => ({ rule, applicable: getApplicableTiers(rule) }))
+    .filter(({ applicable }) => applicable);
+  if (settings.conflict_strategy !== CONFLICT_STRATEGY_PRIORITY) return entries;
+
+  const competing = entries.filter(({ applicable }) => hasLineLevelTiers(applicable));
+  if (competing.length === 0) return entries;
+  const topPriority = Math.max(...competing.map(({ rule }) => normalizeRulePriority(rule?.priority)));
 
-  return Array.from(byMinQuantity.values()).sort(
-    (left, right) => left.min_quantity - right.min_quantity,
+  return entries.map((entry) =>
+    normalizeRulePriority(entry.rule?.priority) >= topPriority
+      ? entry
+      : {
+          rule: entry.rule,
+          applicable: { ...entry.applicable, tiers: [], marketTierSets: [], bxgyOffer: null },
+        },
   );
 };
 
+const buildTierProjection = (discounts, getApplicableTiers, settings) => {
+  const groups = new Map();
+
+  for (const { rule, applicable } of resolveApplicableRules(discounts, getApplicableTiers, settings)) {
+
+    const countBy = normalizeRuleCountBy(rule?.count_by);
+    const priority = normalizeRulePriority(rule?.priority);
+    const caps = getRuleCaps(rule);
+    const capConditions = Object.keys(caps).length > 0 ? { caps } : {};
+    const { startsAt, endsAt } = getRuleSchedule(rule);
+    const { buyer, customerTags } = getRuleEligibility(rule);
+    const conditions = {
+      ...(priority > 0 ? { priority } : {}),
+      ...(startsAt ? { starts_at: startsAt } : {}),
+      ...(endsAt ? { ends_at: endsAt } : {}),
+      ...(buyer !== RULE_BUYER_ALL ? { buyer } : {}),
+      ...(customerTags.length > 0 ? { customer_tags: customerTags } : {}),
+    };
+
+    // Same-item offers count each variant on its own; cheapest-item offers pool the whole rule.
+    if (applicable.bxgyOffer) {
+      groups.set(
+        `${PROJECTION_TARGET_BXGY}|${getProjectionGroupKey(rule, RULE_COUNT_BY_RULE)}`,
+        {
+          target: PROJECTION_TARGET_BXGY,
+          count_by:
+            applicable.bxgyOffer.reward === BXGY_REWARD_SAME_ITEM
+              ? RULE_COUNT_BY_VARIANT
+              : RULE_COUNT_BY_RULE,
+          rule_id: getRuleKey(rule),
+          ...conditions,
+          ...capConditions,
+          tiersByKey: new Map([[0, applicable.bxgyOffer]]),
+          marketTiersByKey: new Map(),
+        },
+      );
+    }
+
+    if (applicable.orderTiers.length > 0) {
+      groups.set(
+        `${PROJECTION_TARGET_ORDER}|${getProjectionGroupKey(rule, RULE_COUNT_BY_RULE)}`,
+        {
+          target: PROJECTION_TARGET_ORDER,
+          count_by: RULE_COUNT_BY_RULE,
+          rule_id: getRuleKey(rule),
+          threshold: getRuleOrderSettings(rule).threshold,
+          ...conditions,
+          tiersByKey: new Map(applicable.orderTiers.map((tier, index) => [index, tier])),
+          marketTiersByKey: new Map(),
+        },
+      );
+    }
+
+    // Shipping tiers always count every product of their own rule together.
+    if (applicable.shippingTiers.length > 0) {
+      groups.set(
+        `${PROJECTION_TARGET_SHIPPING}|${getProjectionGroupKey(rule, RULE_COUNT_BY_RULE)}`,
+        {
+          target: PROJECTION_TARGET_SHIPPING,
+          count_by: RULE_COUNT_BY_RULE,
+          rule_id: getRuleKey(rule),
+          ...conditions,
+          tiersByKey: new Map(
+            applicable.shippingTiers.map((tier) => [`${tier.type}|${tier.min_quantity}`, tier]),
+          ),
+          marketTiersByKey: new Map(),
+        },
+      );
+    }
+
+    // Every rule keeps its own product group so the function can resolve conflicts
+    // between rules instead of reading one merged tier table.
+    const pricing = normalizeRulePricing(rule?.pricing);
+    const groupKey = getProjectionGroupKey(rule, RULE_COUNT_BY_RULE);
+    const group = groups.get(groupKey) || {
+      count_by: countBy,
+      rule_id: getRuleKey(rule),
+      ...(pricing === RULE_PRICING_GRADUATED ? { pricing } : {}),
+      ...conditions,
+      ...capConditions,
+      tiersByKey: new Map(),
+      marketTiersByKey: new Map(),
+    };
+
+    mergeProjectionTiers(group.tiersByKey, applicable.tiers);
+    for (const marketTierSet of applicable.marketTierSets) {
+      const marketKey = getMarketTierSetKey(marketTierSet);
+      const marketEntry = group.marketTiersByKey.get(marketKey) || {
+        ...(marketTierSet.market ? { market: marketTierSet.market } : { country: marketTierSet.country }),
+        tiersByKey: new Map(),
+      };
+      mergeProjectionTiers(marketEntry.tiersByKey, marketTierSet.tiers);
+      group.marketTiersByKey.set(marketKey, marketEntry);
+    }
+
+    groups.set(groupKey, group);
+  }
+
+  return Array.from(groups.values())
+    .map(({ tiersByKey, marketTiersByKey, ...group }) => {
+      const marketTiers = Array.from(marketTiersByKey.values()).map(
+        ({ tiersByKey: marketTierMap, ...marketEntry }) => ({
+          ...marketEntry,
+          tiers: sortProjectionTiers(marketTierMap),
+        }),
+      );
+      return {
+        ...group,
+        tiers: sortProjectionTiers(tiersByKey),
+        ...(marketTiers.length > 0 ? { market_tiers: marketTiers } : {}),
+      };
+    })
+    .filter((group) => group.tiers.length > 0 || group.market_tiers);
+};
+
+const getRuleTiers = (rule) => {
+  const kind = normalizeRuleKind(rule?.kind);
+  const shippingTiers = getRuleShippingTiers(rule);
+
+  if (kind === RULE_KIND_ORDER) {
+    const { allProducts, tiers } = getRuleOrderSettings(rule);
+    return {
+      tiers: [],
+      marketTierSets: [],
+      shippingTiers,
+      orderTiers: allProducts ? [] : tiers,
+      bxgyOffer: null,
+    };
+  }
+
+  if (kind === RULE_KIND_BXGY) {
+    return {
+      tiers: [],
+      marketTierSets: [],
+      shippingTiers,
+      orderTiers: [],
+      bxgyOffer: getRuleBxgyOffer(rule),
+    };
+  }
+
+  return {
+    tiers: Array.isArray(rule?.tiers) ? rule.tiers : [],
+    marketTierSets: getRuleMarketTierSets(rule),
+    shippingTiers,
+    orderTiers: [],
+    bxgyOffer: null,
+  };
+};
+
+export const buildProductTierProjection = (discounts, productId, settings) =>
+  buildTierProjection(
+    discounts,
+    (rule) => (getRuleProductIds(rule).includes(productId) ? getRuleTiers(rule) : null),
+    settings,
+  );
+
+// Custom variant tiers replace the rule's tiers in every market, but not its shipping tiers.
+export const buildVariantTierProjection = (discounts, variantId, productId, settings) =>
+  buildTierProjection(discounts, (rule) => {
+    const entry = getRuleVariantEntries(rule).find((variant) => variant.id === variantId);
+    if (entry?.excluded) return null;
+    if (!entry && !getRuleProductIds(rule).includes(productId)) return null;
+    if (!entry?.tiers || normalizeRuleKind(rule?.kind) !== RULE_KIND_PRODUCT) {
+      return getRuleTiers(rule);
+    }
+    return {
+      tiers: entry.tiers,
+      marketTierSets: [],
+      shippingTiers: getRuleShippingTiers(rule),
+      orderTiers: [],
+      bxgyOffer: null,
+    };
+  }, settings);
+
 const chunkArray = (items, size) => {
   const chunks = [];
   for (let index = 0; index < items.length; index += size) {
@@ -167,18 +697,186 @@ const chunkArray = (items, size) => {
   return chunks;
 };
 
+// Order rules that apply to every product can't be projected onto products, so
+// the function reads them from the automatic discount instead.
+export const buildStoreWideOrderDiscounts = (discounts) =>
+  (Array.isArray(discounts) ? discounts : [])
+    .filter(
+      (rule) =>
+        rule?.status !== "inactive" &&
+        normalizeRuleKind(rule?.kind) === RULE_KIND_ORDER &&
+        rule?.all_products === true,
+    )
+    .map((rule) => {
+      const { startsAt, endsAt } = getRuleSchedule(rule);
+      const { buyer, customerTags } = getRuleEligibility(rule);
+      const { threshold, tiers } = getRuleOrderSettings(rule);
+      return {
+        target: PROJECTION_TARGET_ORDER,
+        count_by: RULE_COUNT_BY_RULE,
+        rule_id: getRuleKey(rule),
+        threshold,
+        ...(startsAt ? { starts_at: startsAt } : {}),
+        ...(endsAt ? { ends_at: endsAt } : {}),
+        ...(buyer !== RULE_BUYER_ALL ? { buyer } : {}),
+        ...(customerTags.length > 0 ? { customer_tags: customerTags } : {}),
+        tiers,
+      };
+    })
+    .filter((group) => group.tiers.length > 0);
+
+const buildFunctionInputVariables = (discounts) => ({
+  customerTags: normalizeCustomerTags(
+    (Array.isArray(discounts) ? discounts : [])
+      .filter((rule) => rule?.status !== "inactive")
+      .flatMap((rule) => getRuleEligibility(rule).customerTags),
+  ),
+});
+
+export const syncAutomaticDiscountMetafields = async (admin, discounts, settings) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksAutomaticDiscount($query: String!) {
+        discountNodes(first: 5, query: $query) {
+          nodes {
+            id
+            discount {
+              ... on DiscountAutomaticApp {
+                title
+              }
+            }
+          }
+        }
+      }
+    `,
+    { variables: { query: `title:'${QUANTITY_BREAKS_DISCOUNT_TITLE}'` } },
+  );
+  const json = await response.json();
+  const discountNode = (json.data?.discountNodes?.nodes || []).find(
+    (node) => node?.discount?.title === QUANTITY_BREAKS_DISCOUNT_TITLE,
+  );
+  if (!discountNode) return [];
+
+  const setResponse = await admin.graphql(
+    `#graphql
+      mutation QuantityBreaksSetAutomaticDiscountMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: discountNode.id,
+            namespace: QUANTITY_BREAKS_NAMESPACE,
+            key: QUANTITY_BREAKS_FUNCTION_INPUT_KEY,
+            type: QUANTITY_BREAKS_TYPE,
+            value: JSON.stringify(buildFunctionInputVariables(discounts)),
+          },
+          {
+            ownerId: discountNode.id,
+            namespace: QUANTITY_BREAKS_NAMESPACE,
+            key: QUANTITY_BREAKS_ORDER_DISCOUNTS_KEY,
+            type: QUANTITY_BREAKS_TYPE,
+            value: JSON.stringify(buildStoreWideOrderDiscounts(discounts)),
+          },
+          {
+            ownerId: discountNode.id,
+            namespace: QUANTITY_BREAKS_NAMESPACE,
+            key: QUANTITY_BREAKS_SETTINGS_KEY,
+            type: QUANTITY_BREAKS_TYPE,
+            value: JSON.stringify(normalizeShopSettings(settings)),
+          },
+        ],
+      },
+    },
+  );
+  const setJson = await setResponse.json();
+  const userErrors = setJson.data?.metafieldsSet?.userErrors || [];
+  return userErrors.map((error) => error.message);
+};
+
+// The discount's classes and metafields, shaped like the `discount` field of the function input.
+export const readAutomaticDiscount = async (admin) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksReadAutomaticDiscount($query: String!) {
+        discountNodes(first: 5, query: $query) {
+          nodes {
+            discount {
+              ... on DiscountAutomaticApp {
+                title
+                status
+                discountClasses
+              }
+            }
+            orderDiscounts: metafield(namespace: "quantity_breaks", key: "order_discounts") {
+              jsonValue
+            }
+            settings: metafield(namespace: "quantity_breaks", key: "settings") {
+              jsonValue
+            }
+          }
+        }
+      }
+    `,
+    { variables: { query: `title:'${QUANTITY_BREAKS_DISCOUNT_TITLE}'` } },
+  );
+  const json = await response.json();
+  const discountNode = (json.data?.discountNodes?.nodes || []).find(
+    (node) => node?.discount?.title === QUANTITY_BREAKS_DISCOUNT_TITLE,
+  );
+  if (!discountNode) return null;
+
+  return {
+    status: discountNode.discount.status,
+    discountClasses: discountNode.discount.discountClasses || [],
+    orderDiscounts: discountNode.orderDiscounts,
+    settings: discountNode.settings,
+  };
+};
+
+export const getVariantProductIds = (discounts) => {
+  const productIdByVariantId = new Map();
+  for (const rule of Array.isArray(discounts) ? discounts : []) {
+    for (const entry of getRuleVariantEntries(rule)) {
+      productIdByVariantId.set(entry.id, entry.product_id);
+    }
+  }
+  return productIdByVariantId;
+};
+
 export const recomputeProductDiscountProjectionMetafields = async ({
   admin,
   discounts,
   affectedProductIds,
+  affectedVariantIds = [],
 }) => {
   const productIds = normalizeProductIds(affectedProductIds);
-  if (productIds.length === 0) return [];
+  const productIdByVariantId = getVariantProductIds(discounts);
+  const settings = await readShopSettings(admin);
+  const variantIds = Array.from(
+    new Set([
+      ...normalizeVariantIds(affectedVariantIds),
+      ...Array.from(productIdByVariantId.entries())
+        .filter(([, productId]) => productIds.includes(productId))
+        .map(([variantId]) => variantId),
+    ]),
+  );
+  if (productIds.length === 0 && variantIds.length === 0) {
+    return syncAutomaticDiscountMetafields(admin, discounts, settings);
+  }
 
   const metafieldsToSet = [];
+  const metafieldsToDelete = [];
 
   for (const productId of productIds) {
-    const projectedTiers = buildProductTierProjection(discounts, productId);
+    const projectedTiers = buildProductTierProjection(discounts, productId, settings);
     const targetValue = projectedTiers.length > 0 ? JSON.stringify(projectedTiers) : "[]";
 
     metafieldsToSet.push({
@@ -190,6 +888,27 @@ export const recomputeProductDiscountProjectionMetafields = async ({
     });
   }
 
+  for (const variantId of variantIds) {
+    const productId = productIdByVariantId.get(variantId);
+    if (!productId) {
+      metafieldsToDelete.push({
+        ownerId: variantId,
+        namespace: QUANTITY_BREAKS_NAMESPACE,
+        key: QUANTITY_BREAKS_KEY,
+      });
+      continue;
+    }
+
+    const projectedTiers = buildVariantTierProjection(discounts, variantId, productId, settings);
+    metafieldsToSet.push({
+      ownerId: variantId,
+      namespace: QUANTITY_BREAKS_NAMESPACE,
+      key: QUANTITY_BREAKS_KEY,
+      type: QUANTITY_BREAKS_TYPE,
+      value: JSON.stringify(projectedTiers),
+    });
+  }
+
   const errors = [];
   for (const metafieldChunk of chunkArray(metafieldsToSet, MAX_METAFIELDS_SET)) {
     const response = await admin.graphql(
@@ -212,5 +931,631 @@ export const recomputeProductDiscountProjectionMetafields = async ({
     }
   }
 
+  for (const metafieldChunk of chunkArray(metafieldsToDelete, MAX_METAFIELDS_SET)) {
+    const response = await admin.graphql(
+      `#graphql
+        mutation QuantityBreaksDeleteVariantMetafields($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      { variables: { metafields: metafieldChunk } },
+    );
+    const responseJson = await response.json();
+    const userErrors = responseJson.data?.metafieldsDelete?.userErrors || [];
+    if (userErrors.length > 0) {
+      errors.push(...userErrors.map((error) => error.message));
+    }
+  }
+
+  errors.push(...(await syncAutomaticDiscountMetafields(admin, discounts, settings)));
+
   return errors;
 };
+
+export const readDiscountConfig = async (admin) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksReadConfig {
+        shop {
+          id
+          metafield(namespace: "quantity_breaks", key: "discounts") {
+            value
+          }
+        }
+      }
+    `,
+  );
+  const json = await response.json();
+
+  return {
+    shopId: json.data?.shop?.id,
+    config: parseDiscountConfig(json.data?.shop?.metafield?.value),
+  };
+};
+
+export const writeDiscountConfig = async (admin, shopId, discounts) => {
+  const response = await admin.graphql(
+    `#graphql
+      mutation QuantityBreaksWriteConfig($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: shopId,
+            namespace: QUANTITY_BREAKS_NAMESPACE,
+            key: QUANTITY_BREAKS_KEY,
+            type: QUANTITY_BREAKS_TYPE,
+            value: JSON.stringify({ discounts }),
+          },
+        ],
+      },
+    },
+  );
+  const json = await response.json();
+  const userErrors = json.data?.metafieldsSet?.userErrors || [];
+  return userErrors.map((error) => error.message);
+};
+
+export const readShopSettings = async (admin) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksReadSettings {
+        shop {
+          metafield(namespace: "quantity_breaks", key: "settings") {
+            jsonValue
+          }
+        }
+      }
+    `,
+  );
+  const json = await response.json();
+  return normalizeShopSettings(json.data?.shop?.metafield?.jsonValue);
+};
+
+export const writeShopSettings = async (admin, shopId, settings) => {
+  const response = await admin.graphql(
+    `#graphql
+      mutation QuantityBreaksWriteSettings($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: shopId,
+            namespace: QUANTITY_BREAKS_NAMESPACE,
+            key: QUANTITY_BREAKS_SETTINGS_KEY,
+            type: QUANTITY_BREAKS_TYPE,
+            value: JSON.stringify(normalizeShopSettings(settings)),
+          },
+        ],
+      },
+    },
+  );
+  const json = await response.json();
+  const userErrors = json.data?.metafieldsSet?.userErrors || [];
+  return userErrors.map((error) => error.message);
+};
+
+// Other active rules that project tiers onto at least one of this rule's products.
+export const getOverlappingRules = (discounts, rule) => {
+  const productIds = new Set(getRuleProductIds(rule));
+  if (productIds.size === 0) return [];
+
+  return (Array.isArray(discounts) ? discounts : []).filter(
+    (other) =>
+      other !== rule &&
+      getRuleKey(other) !== getRuleKey(rule) &&
+      other?.status !== "inactive" &&
+      getRuleProductIds(other).some((productId) => productIds.has(productId)),
+  );
+};
+
+const hasRuleId = (rule) => typeof rule?.id === "string" && rule.id.trim() !== "";
+
+// Derived from the shop, position and legacy key rather than random, so two requests migrating
+// the same shop at once assign the same IDs and the second import fails on the primary key.
+const createLegacyRuleId = (shopId, index, rule) => {
+  const hash = createHash("sha256").update(`${shopId}|${index}|${getRuleKey(rule)}`).digest("hex");
+  const variant = ((Number.parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return [
+    hash.slice(0, 8),
+    hash.slice(8, 12),
+    `5${hash.slice(13, 16)}`,
+    `${variant}${hash.slice(17, 20)}`,
+    hash.slice(20, 32),
+  ].join("-");
+};
+
+// Rules saved before IDs existed are keyed by their kebab-case title. Each one gets an ID
+// once; callers re-project the products of `migratedRules` so rule-scoped groups pick up the
+// new key.
+export const migrateRuleIds = async (admin) => {
+  const { shopId, config } = await readDiscountConfig(admin);
+  const discounts = config.discounts || [];
+  if (!shopId || discounts.every(hasRuleId)) return { discounts, migratedRules: [], errors: [] };
+
+  const nextDiscounts = discounts.map((rule, index) =>
+    hasRuleId(rule) ? rule : { ...rule, id: createLegacyRuleId(shopId, index, rule) },
+  );
+  const writeErrors = await writeDiscountConfig(admin, shopId, nextDiscounts);
+  if (writeErrors.length > 0) return { discounts, migratedRules: [], errors: writeErrors };
+
+  return {
+    discounts: nextDiscounts,
+    migratedRules: nextDiscounts.filter((rule, index) => !hasRuleId(discounts[index])),
+    errors: [],
+  };
+};
+
+export const fetchCollectionProductIds = async (admin, collectionIds) => {
+  const productIds = new Set();
+
+  for (const collectionId of normalizeCollectionIds(collectionIds)) {
+    let after = null;
+    do {
+      const response = await admin.graphql(
+        `#graphql
+          query QuantityBreaksCollectionProducts($id: ID!, $after: String) {
+            collection(id: $id) {
+              products(first: 250, after: $after) {
+                nodes {
+                  id
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
+          }
+        `,
+        { variables: { id: collectionId, after } },
+      );
+      const json = await response.json();
+      const products = json.data?.collection?.products;
+      for (const product of products?.nodes || []) {
+        if (product?.id) productIds.add(product.id);
+      }
+      after = products?.pageInfo?.hasNextPage ? products.pageInfo.endCursor : null;
+    } while (after);
+  }
+
+  return Array.from(productIds);
+};
+
+export const fetchProductCollectionIds = async (admin, productId) => {
+  const collectionIds = [];
+  let after = null;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksProductCollections($id: ID!, $after: String) {
+          product(id: $id) {
+            collections(first: 250, after: $after) {
+              nodes {
+                id
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      `,
+      { variables: { id: productId, after } },
+    );
+    const json = await response.json();
+    const collections = json.data?.product?.collections;
+    for (const collection of collections?.nodes || []) {
+      if (collection?.id) collectionIds.push(collection.id);
+    }
+    after = collections?.pageInfo?.hasNextPage ? collections.pageInfo.endCursor : null;
+  } while (after);
+
+  return collectionIds;
+};
+
+// Pages through the whole catalog, since products can only be searched by metafields that have a
+// filterable definition. The value is null for products without the projection metafield.
+const PROJECTION_PAGE_SIZE = 250;
+
+// One page of the catalog with each product's projection metafield. Pass the returned `cursor`
+// back for the next page; it is null after the last one.
+export const fetchProductProjectionsPage = async (admin, after = null) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksProductProjections($first: Int!, $after: String) {
+        products(first: $first, after: $after) {
+          nodes {
+            id
+            title
+            metafield(namespace: "quantity_breaks", key: "discounts") {
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    { variables: { first: PROJECTION_PAGE_SIZE, after } },
+  );
+  const json = await response.json();
+  const products = json.data?.products;
+  return {
+    projections: (products?.nodes || [])
+      .filter((product) => product?.id)
+      .map((product) => ({
+        id: product.id,
+        title: product.title,
+        value: product.metafield?.value ?? null,
+      })),
+    cursor: products?.pageInfo?.hasNextPage ? products.pageInfo.endCursor : null,
+  };
+};
+
+// Same for variants. Every variant is listed, since a variant can still carry an override after
+// the rule that set it was deleted.
+export const fetchVariantProjectionsPage = async (admin, after = null) => {
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreaksVariantProjections($first: Int!, $after: String) {
+        productVariants(first: $first, after: $after) {
+          nodes {
+            id
+            displayName
+            metafield(namespace: "quantity_breaks", key: "discounts") {
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+    { variables: { first: PROJECTION_PAGE_SIZE, after } },
+  );
+  const json = await response.json();
+  const variants = json.data?.productVariants;
+  return {
+    projections: (variants?.nodes || [])
+      .filter((variant) => variant?.id)
+      .map((variant) => ({
+        id: variant.id,
+        title: variant.displayName,
+        value: variant.metafield?.value ?? null,
+      })),
+    cursor: variants?.pageInfo?.hasNextPage ? variants.pageInfo.endCursor : null,
+  };
+};
+
+export const fetchMarkets = async (admin) => {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksMarkets {
+          markets(first: 50) {
+            nodes {
+              handle
+              name
+            }
+          }
+        }
+      `,
+    );
+    const json = await response.json();
+    const nodes = Array.isArray(json.data?.markets?.nodes) ? json.data.markets.nodes : [];
+    return nodes
+      .filter((node) => node?.handle)
+      .map((node) => ({ handle: node.handle, name: node.name || node.handle }));
+  } catch {
+    return [];
+  }
+};
+
+// Deleted resources come back from `nodes` as null, so whatever is missing from the result is gone.
+export const fetchExistingResourceIds = async (admin, resourceIds) => {
+  const existingIds = new Set();
+
+  for (const ids of chunkArray(Array.from(new Set(resourceIds)), 250)) {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksExistingResources($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            id
+          }
+        }
+      `,
+      { variables: { ids } },
+    );
+    const json = await response.json();
+    for (const node of json.data?.nodes || []) {
+      if (node?.id) existingIds.add(node.id);
+    }
+  }
+
+  return existingIds;
+};
+
+const REFERENCE_LOOKUP_CHUNK_SIZE = 50;
+
+export const fetchProductHandles = async (admin, productIds) => {
+  const handles = new Map();
+
+  for (const ids of chunkArray(Array.from(new Set(productIds)), 250)) {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksProductHandles($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on Product {
+              id
+              handle
+            }
+          }
+        }
+      `,
+      { variables: { ids } },
+    );
+    const json = await response.json();
+    for (const node of json.data?.nodes || []) {
+      if (node?.id && node?.handle) handles.set(node.id, node.handle);
+    }
+  }
+
+  return handles;
+};
+
+export const fetchCollectionHandles = async (admin, collectionIds) => {
+  const handles = new Map();
+
+  for (const ids of chunkArray(Array.from(new Set(collectionIds)), 250)) {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksCollectionHandles($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on Collection {
+              id
+              handle
+            }
+          }
+        }
+      `,
+      { variables: { ids } },
+    );
+    const json = await response.json();
+    for (const node of json.data?.nodes || []) {
+      if (node?.id && node?.handle) handles.set(node.id, node.handle);
+    }
+  }
+
+  return handles;
+};
+
+// Variants are identified across shops by SKU, or by product handle and variant title when
+// they have none.
+export const fetchVariantReferences = async (admin, variantIds) => {
+  const references = new Map();
+
+  for (const ids of chunkArray(Array.from(new Set(variantIds)), 250)) {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksVariantReferences($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on ProductVariant {
+              id
+              sku
+              title
+              product {
+                handle
+              }
+            }
+          }
+        }
+      `,
+      { variables: { ids } },
+    );
+    const json = await response.json();
+    for (const node of json.data?.nodes || []) {
+      if (!node?.id || !node?.product?.handle) continue;
+      references.set(node.id, {
+        ...(node.sku ? { sku: node.sku } : {}),
+        product_handle: node.product.handle,
+        title: node.title,
+      });
+    }
+  }
+
+  return references;
+};
+
+export const getVariantReferenceKey = (reference = {}) =>
+  reference.sku ? `sku:${reference.sku}` : `${reference.product_handle}/${reference.title}`;
+
+const toSearchValue = (value) => `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+const searchByField = async (admin, query, connection, field, values) => {
+  const nodes = [];
+
+  for (const chunk of chunkArray(values, REFERENCE_LOOKUP_CHUNK_SIZE)) {
+    const response = await admin.graphql(query, {
+      variables: {
+        query: chunk.map((value) => `${field}:${toSearchValue(value)}`).join(" OR "),
+      },
+    });
+    const json = await response.json();
+    nodes.push(...(json.data?.[connection]?.nodes || []));
+  }
+
+  return nodes;
+};
+
+const PRODUCTS_BY_HANDLE_QUERY = `#graphql
+  query QuantityBreaksProductsByHandle($query: String!) {
+    products(first: 250, query: $query) {
+      nodes {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+const VARIANTS_BY_SKU_QUERY = `#graphql
+  query QuantityBreaksVariantsBySku($query: String!) {
+    productVariants(first: 250, query: $query) {
+      nodes {
+        id
+        sku
+        product {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const COLLECTIONS_BY_HANDLE_QUERY = `#graphql
+  query QuantityBreaksCollectionsByHandle($query: String!) {
+    collections(first: 250, query: $query) {
+      nodes {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+// Maps product handles, SKUs or product GIDs to product IDs. Handles win over SKUs when a
+// reference matches both; unmatched references are left out of the map.
+export const resolveProductReferences = async (admin, references) => {
+  const resolved = new Map();
+  const pending = [];
+
+  for (const reference of new Set(references)) {
+    const productId = reference.startsWith("gid://") ? normalizeProductId(reference) : "";
+    if (productId) resolved.set(reference, productId);
+    else pending.push(reference);
+  }
+
+  const products = await searchByField(
+    admin,
+    PRODUCTS_BY_HANDLE_QUERY,
+    "products",
+    "handle",
+    pending,
+  );
+  for (const product of products) {
+    if (pending.includes(product?.handle)) resolved.set(product.handle, product.id);
+  }
+
+  const variants = await searchByField(
+    admin,
+    VARIANTS_BY_SKU_QUERY,
+    "productVariants",
+    "sku",
+    pending.filter((reference) => !resolved.has(reference)),
+  );
+  for (const variant of variants) {
+    if (pending.includes(variant?.sku) && variant?.product?.id && !resolved.has(variant.sku)) {
+      resolved.set(variant.sku, variant.product.id);
+    }
+  }
+
+  return resolved;
+};
+
+export const resolveCollectionHandles = async (admin, handles) => {
+  const pending = Array.from(new Set(handles));
+  const collections = await searchByField(
+    admin,
+    COLLECTIONS_BY_HANDLE_QUERY,
+    "collections",
+    "handle",
+    pending,
+  );
+
+  return new Map(
+    collections
+      .filter((collection) => pending.includes(collection?.handle))
+      .map((collection) => [collection.handle, collection.id]),
+  );
+};
+
+// Maps variant references from `fetchVariantReferences` to `{ id, product_id }` in this shop,
+// keyed by `getVariantReferenceKey`.
+export const resolveVariantReferences = async (admin, references) => {
+  const resolved = new Map();
+  const skus = Array.from(new Set(references.map((reference) => reference.sku).filter(Boolean)));
+
+  const variants = await searchByField(
+    admin,
+    VARIANTS_BY_SKU_QUERY,
+    "productVariants",
+    "sku",
+    skus,
+  );
+  for (const variant of variants) {
+    const key = getVariantReferenceKey({ sku: variant?.sku });
+    if (skus.includes(variant?.sku) && variant?.product?.id && !resolved.has(key)) {
+      resolved.set(key, { id: variant.id, product_id: variant.product.id });
+    }
+  }
+
+  const withoutSku = references.filter((reference) => !reference.sku && reference.product_handle);
+  const productIds = await resolveProductReferences(
+    admin,
+    withoutSku.map((reference) => reference.product_handle),
+  );
+  for (const productId of new Set(productIds.values())) {
+    const response = await admin.graphql(
+      `#graphql
+        query QuantityBreaksProductVariantTitles($id: ID!) {
+          product(id: $id) {
+            handle
+            variants(first: 250) {
+              nodes {
+                id
+                title
+              }
+            }
+          }
+        }
+      `,
+      { variables: { id: productId } },
+    );
+    const json = await response.json();
+    const product = json.data?.product;
+    for (const variant of product?.variants?.nodes || []) {
+      const key = getVariantReferenceKey({ product_handle: product.handle, title: variant.title });
+      resolved.set(key, { id: variant.id, product_id: productId });
+    }
+  }
+
+  return resolved;
+};
@@ -0,0 +1,2579 @@
+import { useEffect, useRef, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate, useRevalidator } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  ORDER_THRESHOLD_SUBTOTAL,
+  ORDER_THRESHOLDS,
+  RULE_BUYER_TYPES,
+  RULE_COUNT_BY_MODES,
+  RULE_PRICING_ALL_UNITS,
+  RULE_PRICING_GRADUATED,
+  RULE_PRICING_MODES,
+  fetchCollectionProductIds,
+  getRuleCollectionIds,
+  getMarketTierSetKey,
+  fetchMarkets,
+  getOverlappingRules,
+  getRuleCaps,
+  getRuleBxgyOffer,
+  getRuleEligibility,
+  getRuleMarketTierSets,
+  getRuleOrderSettings,
+  getRuleSchedule,
+  getRuleShippingTiers,
+  getRuleSelectedProductIds,
+  getRuleVariantEntries,
+  normalizeBxgyOffer,
+  normalizeOrderTier,
+  normalizeRuleCaps,
+  normalizeRuleCountBy,
+  normalizeRulePricing,
+  normalizeRulePriority,
+  normalizeRuleDate,
+  normalizeRuleMarketTierSet,
+  normalizeRuleVariantEntry,
+  normalizeShippingTier,
+  normalizeStoredTier,
+  readShopSettings,
+  toKebabCase,
+} from "../quantity-breaks.server";
+import { RULE_FIELD_LABELS, getStaffMember } from "../rule-changes.server";
+import {
+  BUYER_OPTIONS,
+  BXGY_REWARD_OPTIONS,
+  CAP_FIELDS,
+  COUNT_BY_OPTIONS,
+  ORDER_THRESHOLD_OPTIONS,
+  ORDER_TIER_TYPE_OPTIONS,
+  PRICING_OPTIONS,
+  TIER_TYPE_OPTIONS,
+  buildEditorState,
+  cloneEditorState,
+  cloneTiers,
+  editorStatesMatch,
+  getCollectionIds,
+  getOrderThresholdOption,
+  getOrderTierTypeOption,
+  getProductImageUrl,
+  getTierTypeOption,
+  mergeEditorStates,
+  normalizeCollectionsForEditor,
+  normalizeProductsForEditor,
+  normalizeVariantsForEditor,
+} from "../rule-editor-state";
+import {
+  RULE_KIND_BXGY,
+  RULE_KIND_ORDER,
+  RULE_KIND_PRODUCT,
+  RULE_KINDS,
+  normalizeCollectionIds,
+  normalizeCustomerTags,
+  normalizeProductIds,
+  normalizeRuleKind,
+} from "../rule-normalizers";
+import {
+  RULE_WRITE_CONFLICT,
+  RULE_WRITE_NOT_FOUND,
+  deleteRule,
+  ensureRulesImported,
+  findRule,
+  listRules,
+  publishRule,
+  saveRule,
+  syncPublishedRules,
+} from "../rules.server";
+
+const getPendingChangeLabels = (record) =>
+  record.pendingFields.map((field) => RULE_FIELD_LABELS[field] || field);
+
+const PRODUCT_STATUS_DELETED = "DELETED";
+
+// Archived and draft products can't be bought, so their tiers never apply.
+const PRODUCT_STATUS_BADGES = {
+  ARCHIVED: { tone: "warning", label: "Archived" },
+  DRAFT: { tone: "warning", label: "Draft" },
+  [PRODUCT_STATUS_DELETED]: { tone: "critical", label: "Deleted" },
+};
+
+const getProductNumericId = (productGid) => {
+  if (typeof productGid !== "string") return "";
+  const parts = productGid.split("/");
+  return parts[parts.length - 1] || "";
+};
+
+const buildExcludeProductsQuery = (products) => {
+  const ids = normalizeProductIds(products)
+    .map((productId) => getProductNumericId(productId))
+    .filter(Boolean);
+  return ids.map((id) => `-id:${id}`).join(" ");
+};
+
+const serializeProductIds = (products) => JSON.stringify(normalizeProductIds(products));
+
+const serializeCollectionIds = (collections) => JSON.stringify(getCollectionIds(collections));
+
+const fetchProductSummaries = async (admin, productIds) => {
+  if (!Array.isArray(productIds) || productIds.length === 0) return [];
+
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreakProductSummaries($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            title
+            status
+            featuredImage {
+              url
+            }
+            priceRangeV2 {
+              minVariantPrice {
+                amount
+              }
+            }
+          }
+        }
+      }
+    `,
+    { variables: { ids: productIds } },
+  );
+  const json = await response.json();
+  const nodes = Array.isArray(json.data?.nodes) ? json.data.nodes : [];
+  const productById = new Map(
+    nodes
+      .filter((node) => node?.id)
+      .map((node) => [
+        node.id,
+        {
+          id: node.id,
+          title: node.title || "",
+          image: node.featuredImage?.url || "",
+          price: node.priceRangeV2?.minVariantPrice?.amount || "",
+          status: node.status || "",
+        },
+      ]),
+  );
+
+  // Products deleted before the products/delete webhook pruned them no longer resolve.
+  return productIds.map(
+    (id) =>
+      productById.get(id) || { id, title: id, image: "", price: "", status: PRODUCT_STATUS_DELETED },
+  );
+};
+
+const CONFLICT_STRATEGY_DESCRIPTIONS = {
+  best_discount: "the rule with the biggest discount on a line wins",
+  priority: "the rule with the highest priority wins",
+  stack: "their discounts stack up to the shop's cap",
+};
+
+const getPreviewUnitDiscount = (tier, unitPrice) => {
+  const type = getTierTypeOption(tier?.type).value;
+  const value = Number.parseFloat(String(tier?.[getTierTypeOption(type).field] ?? ""));
+  if (!Number.isFinite(value)) return 0;
+  if (type === "fixed_amount") return Math.min(value, unitPrice);
+  if (type === "fixed_unit_price") return Math.max(unitPrice - value, 0);
+  return (unitPrice * Math.min(value, 100)) / 100;
+};
+
+// Mirrors the discount function: either every unit gets the best tier reached, or each
+// bracket of units between two tier minimums is discounted at its own tier.
+const getAverageUnitPrice = (tiers, pricing, quantity, unitPrice) => {
+  const bracketDiscounts = new Map();
+  for (const tier of tiers) {
+    const minQuantity = Number.parseInt(String(tier?.min_quantity ?? ""), 10);
+    if (!Number.isInteger(minQuantity) || minQuantity <= 0 || minQuantity > quantity) continue;
+    const discount = getPreviewUnitDiscount(tier, unitPrice);
+    bracketDiscounts.set(minQuantity, Math.max(bracketDiscounts.get(minQuantity) || 0, discount));
+  }
+
+  const minQuantities = Array.from(bracketDiscounts.keys()).sort((left, right) => left - right);
+  if (minQuantities.length === 0) return unitPrice;
+
+  if (pricing !== "graduated") {
+    return unitPrice - bracketDiscounts.get(minQuantities[minQuantities.length - 1]);
+  }
+
+  const totalDiscount = minQuantities.reduce((sum, minQuantity, index) => {
+    const bracketEnd =
+      index + 1 < minQuantities.length ? minQuantities[index + 1] - 1 : quantity;
+    return sum + bracketDiscounts.get(minQuantity) * (bracketEnd - minQuantity + 1);
+  }, 0);
+  return unitPrice - totalDiscount / quantity;
+};
+
+const getPricePreviewQuantities = (tiers) => {
+  const minQuantities = Array.from(
+    new Set(
+      tiers
+        .map((tier) => Number.parseInt(String(tier?.min_quantity ?? ""), 10))
+        .filter((minQuantity) => Number.isInteger(minQuantity) && minQuantity > 0),
+    ),
+  ).sort((left, right) => left - right);
+  if (minQuantities.length === 0) return [];
+  return [...minQuantities, minQuantities[minQuantities.length - 1] * 2];
+};
+
+const KIND_OPTIONS = [
+  { value: "product", label: "Quantity breaks on products" },
+  { value: "order", label: "Order discount" },
+  { value: "bxgy", label: "Buy X get Y" },
+];
+
+const fetchCollectionSummaries = async (admin, collectionIds) => {
+  if (!Array.isArray(collectionIds) || collectionIds.length === 0) return [];
+
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreakCollectionSummaries($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Collection {
+            id
+            title
+            image {
+              url
+            }
+          }
+        }
+      }
+    `,
+    { variables: { ids: collectionIds } },
+  );
+  const json = await response.json();
+  const nodes = Array.isArray(json.data?.nodes) ? json.data.nodes : [];
+  const collectionById = new Map(
+    nodes
+      .filter((node) => node?.id)
+      .map((node) => [
+        node.id,
+        {
+          id: node.id,
+          title: node.title || "",
+          image: node.image?.url || "",
+        },
+      ]),
+  );
+
+  return collectionIds.map((id) => collectionById.get(id) || { id, title: id, image: "" });
+};
+
+const fetchVariantSummaries = async (admin, variantEntries) => {
+  if (!Array.isArray(variantEntries) || variantEntries.length === 0) return [];
+
+  const response = await admin.graphql(
+    `#graphql
+      query QuantityBreakVariantSummaries($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            displayName
+          }
+        }
+      }
+    `,
+    { variables: { ids: variantEntries.map((entry) => entry.id) } },
+  );
+  const json = await response.json();
+  const nodes = Array.isArray(json.data?.nodes) ? json.data.nodes : [];
+  const titleById = new Map(
+    nodes.filter((node) => node?.id).map((node) => [node.id, node.displayName || ""]),
+  );
+
+  return variantEntries.map((entry) => ({
+    ...entry,
+    title: titleById.get(entry.id) || entry.id,
+  }));
+};
+
+const createEmptyTier = () => ({
+  title: "",
+  min_quantity: "",
+  type: "percentage",
+  percent_off: "",
+  amount_off: "",
+  unit_price: "",
+});
+
+const createEmptyOrderTier = () => ({
+  title: "",
+  min_quantity: "",
+  min_subtotal: "",
+  type: "percentage",
+  percent_off: "",
+  amount_off: "",
+});
+
+const createEmptyShippingTier = () => ({
+  title: "",
+  min_quantity: "",
+  percent_off: "100",
+});
+
+const CONFLICT_RESULT = {
+  ok: false,
+  conflict: true,
+  errors: ["Someone else saved this rule after you opened it. Reload to merge their changes."],
+};
+
+export const loader = async ({ request, params }) => {
+  const { admin, redirect, session } = await authenticate.admin(request);
+  const markets = await fetchMarkets(admin);
+  await ensureRulesImported(admin, session.shop);
+  const discounts = await listRules(session.shop);
+  const ruleId = params.ruleId || "";
+
+  const record = await findRule(session.shop, ruleId);
+  const rule = record?.rule;
+
+  // Links saved before rules had IDs used the kebab-case title.
+  if (!rule) {
+    const legacyRule = discounts.find(
+      (discount) => discount?.id && toKebabCase(discount?.title || "") === ruleId,
+    );
+    if (legacyRule) return redirect(`/app/${legacyRule.id}`);
+  }
+
+  if (!rule) {
+    return {
+      notFound: true,
+      title: "Rule not found",
+      status: "active",
+      kind: "product",
+      orderThreshold: "quantity",
+      orderTiers: [],
+      allProducts: false,
+      bxgy: null,
+      caps: {},
+      countBy: "variant",
+      pricing: "all_units",
+      priority: 0,
+      startsAt: "",
+      endsAt: "",
+      buyer: "all",
+      customerTags: [],
+      tiers: [],
+      marketTiers: [],
+      shippingTiers: [],
+      markets,
+      products: [],
+      collections: [],
+      variants: [],
+      overlappingRules: [],
+      conflictStrategy: "best_discount",
+      ruleId,
+    };
+  }
+
+  const liveProducts = await fetchProductSummaries(admin, getRuleSelectedProductIds(rule));
+  const liveCollections = await fetchCollectionSummaries(admin, getRuleCollectionIds(rule));
+  const liveVariants = await fetchVariantSummaries(admin, getRuleVariantEntries(rule));
+
+  return {
+    notFound: false,
+    title: rule.title || "Untitled",
+    status: rule.status === "inactive" ? "inactive" : "active",
+    kind: normalizeRuleKind(rule.kind),
+    orderThreshold: getRuleOrderSettings(rule).threshold,
+    orderTiers: getRuleOrderSettings(rule).tiers,
+    allProducts: getRuleOrderSettings(rule).allProducts,
+    bxgy: getRuleBxgyOffer(rule),
+    caps: getRuleCaps(rule),
+    countBy: normalizeRuleCountBy(rule.count_by),
+    pricing: normalizeRulePricing(rule.pricing),
+    priority: normalizeRulePriority(rule.priority),
+    ...getRuleSchedule(rule),
+    ...getRuleEligibility(rule),
+    tiers: Array.isArray(rule.tiers) ? rule.tiers : [],
+    marketTiers: getRuleMarketTierSets(rule),
+    shippingTiers: getRuleShippingTiers(rule),
+    markets,
+    products: liveProducts,
+    collections: liveCollections,
+    variants: liveVariants,
+    overlappingRules: getOverlappingRules(discounts, rule).map((other) => ({
+      id: other.id,
+      title: other.title || "Untitled",
+      priority: normalizeRulePriority(other.priority),
+    })),
+    conflictStrategy: (await readShopSettings(admin)).conflict_strategy,
+    revision: record.revision,
+    publishState: record.publishState,
+    pendingChanges: getPendingChangeLabels(record),
+    ruleId,
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = String(formData.get("_action") || "");
+
+  if (!["update-rule-settings", "delete-rule", "publish-rule"].includes(actionType)) {
+    return { ok: false, errors: ["Unknown action"] };
+  }
+
+  const revision = Number.parseInt(String(formData.get("revision") || ""), 10);
+  const writeOptions = {
+    revision: Number.isInteger(revision) ? revision : undefined,
+    staff: getStaffMember({ session, sessionToken }),
+  };
+
+  if (actionType === "publish-rule") {
+    const ruleId = params.ruleId || "";
+
+    const { status } = await publishRule(session.shop, ruleId, writeOptions);
+    if (status === RULE_WRITE_CONFLICT) return CONFLICT_RESULT;
+    if (status === RULE_WRITE_NOT_FOUND) {
+      return { ok: false, errors: ["Rule not found."] };
+    }
+
+    const projectionErrors = await syncPublishedRules({ admin, shop: session.shop });
+    if (projectionErrors.length > 0) {
+      return { ok: false, errors: projectionErrors };
+    }
+
+    return {
+      ok: true,
+      actionType: "publish-rule",
+      successKey: `publish-rule|${ruleId}|${Date.now()}`,
+    };
+  }
+
+  if (actionType === "delete-rule") {
+    const ruleId = params.ruleId || "";
+
+    const { status } = await deleteRule(session.shop, ruleId, writeOptions);
+    if (status === RULE_WRITE_CONFLICT) return CONFLICT_RESULT;
+    if (status === RULE_WRITE_NOT_FOUND) {
+      return { ok: false, errors: ["Rule not found."] };
+    }
+
+    const projectionErrors = await syncPublishedRules({ admin, shop: session.shop });
+    if (projectionErrors.length > 0) {
+      return { ok: false, errors: projectionErrors };
+    }
+
+    return {
+      ok: true,
+      actionType: "delete-rule",
+      successKey: `delete-rule|${ruleId}|${Date.now()}`,
+      redirectTo: "/app",
+    };
+  }
+
+  const nextTitle = String(formData.get("title") || "").trim();
+  const nextStatus = String(formData.get("status") || "active").trim().toLowerCase();
+  const nextKind = String(formData.get("kind") || "product").trim().toLowerCase();
+  const nextOrderThreshold = String(formData.get("orderThreshold") || "quantity")
+    .trim()
+    .toLowerCase();
+  const nextAllProducts = formData.get("allProducts") === "true";
+  const nextBxgyInput = {
+    title: String(formData.get("bxgyTitle") || "").trim(),
+    buy_quantity: String(formData.get("bxgyBuyQuantity") || "").trim(),
+    get_quantity: String(formData.get("bxgyGetQuantity") || "").trim(),
+    percent_off: String(formData.get("bxgyPercentOff") || "").trim(),
+    reward: String(formData.get("bxgyReward") || "").trim(),
+  };
+  const nextCapsInput = Object.fromEntries(
+    CAP_FIELDS.map(({ field, name }) => [field, String(formData.get(name) || "").trim()]),
+  );
+  const nextCountBy = String(formData.get("countBy") || "variant").trim().toLowerCase();
+  const nextPricingInput = String(formData.get("pricing") || "all_units").trim().toLowerCase();
+  const nextPriorityInput = String(formData.get("priority") || "").trim();
+  const nextPriority = normalizeRulePriority(nextPriorityInput);
+  const nextStartsAtInput = String(formData.get("startsAt") || "").trim();
+  const nextEndsAtInput = String(formData.get("endsAt") || "").trim();
+  const nextStartsAt = normalizeRuleDate(nextStartsAtInput);
+  const nextEndsAt = normalizeRuleDate(nextEndsAtInput);
+  const nextBuyer = String(formData.get("buyer") || "all").trim().toLowerCase();
+  const nextCustomerTags = normalizeCustomerTags(String(formData.get("customerTags") || ""));
+  const ruleId = params.ruleId || "";
+  let nextTiers = [];
+  let nextProductsInput = [];
+  let nextCollectionsInput = [];
+  let nextVariantsInput = [];
+  let nextMarketTiersInput = [];
+  let nextShippingTiersInput = [];
+  let nextOrderTiersInput = [];
+  try {
+    nextTiers = JSON.parse(String(formData.get("tiers") || "[]"));
+    if (!Array.isArray(nextTiers)) nextTiers = [];
+  } catch {
+    nextTiers = [];
+  }
+  try {
+    nextProductsInput = JSON.parse(String(formData.get("products") || "[]"));
+    if (!Array.isArray(nextProductsInput)) nextProductsInput = [];
+  } catch {
+    nextProductsInput = [];
+  }
+  try {
+    nextCollectionsInput = JSON.parse(String(formData.get("collections") || "[]"));
+    if (!Array.isArray(nextCollectionsInput)) nextCollectionsInput = [];
+  } catch {
+    nextCollectionsInput = [];
+  }
+  try {
+    nextVariantsInput = JSON.parse(String(formData.get("variants") || "[]"));
+    if (!Array.isArray(nextVariantsInput)) nextVariantsInput = [];
+  } catch {
+    nextVariantsInput = [];
+  }
+  try {
+    nextMarketTiersInput = JSON.parse(String(formData.get("marketTiers") || "[]"));
+    if (!Array.isArray(nextMarketTiersInput)) nextMarketTiersInput = [];
+  } catch {
+    nextMarketTiersInput = [];
+  }
+  try {
+    nextShippingTiersInput = JSON.parse(String(formData.get("shippingTiers") || "[]"));
+    if (!Array.isArray(nextShippingTiersInput)) nextShippingTiersInput = [];
+  } catch {
+    nextShippingTiersInput = [];
+  }
+  try {
+    nextOrderTiersInput = JSON.parse(String(formData.get("orderTiers") || "[]"));
+    if (!Array.isArray(nextOrderTiersInput)) nextOrderTiersInput = [];
+  } catch {
+    nextOrderTiersInput = [];
+  }
+
+  if (!nextTitle) {
+    return { ok: false, errors: ["Title is required."] };
+  }
+
+  if (!["active", "inactive"].includes(nextStatus)) {
+    return { ok: false, errors: ["Status must be Active or Inactive."] };
+  }
+
+  if (!RULE_COUNT_BY_MODES.includes(nextCountBy)) {
+    return { ok: false, errors: ["Quantity counting must be per variant, per product, or per rule."] };
+  }
+
+  if (!RULE_PRICING_MODES.includes(nextPricingInput)) {
+    return { ok: false, errors: ["Pricing must apply to every unit or be graduated."] };
+  }
+
+  if (nextPriorityInput && !/^\d+$/.test(nextPriorityInput)) {
+    return { ok: false, errors: ["Priority must be a whole number of 0 or more."] };
+  }
+
+  if ((nextStartsAtInput && !nextStartsAt) || (nextEndsAtInput && !nextEndsAt)) {
+    return { ok: false, errors: ["Start and end dates must be valid dates."] };
+  }
+
+  if (nextStartsAt && nextEndsAt && nextEndsAt < nextStartsAt) {
+    return { ok: false, errors: ["End date must be on or after the start date."] };
+  }
+
+  if (!RULE_KINDS.includes(nextKind)) {
+    const kindLabels = KIND_OPTIONS.filter((option) => RULE_KINDS.includes(option.value)).map(
+      (option) => option.label,
+    );
+    return { ok: false, errors: [`Rule type must be one of: ${kindLabels.join(", ")}.`] };
+  }
+
+  if (!ORDER_THRESHOLDS.includes(nextOrderThreshold)) {
+    return { ok: false, errors: ["Order discounts must count items or amount spent."] };
+  }
+
+  const isOrderRule = nextKind === RULE_KIND_ORDER;
+  const isBxgyRule = nextKind === RULE_KIND_BXGY;
+  const isStoreWide = isOrderRule && nextAllProducts;
+  const nextPricing = nextKind === RULE_KIND_PRODUCT ? nextPricingInput : RULE_PRICING_ALL_UNITS;
+  if (nextKind !== RULE_KIND_PRODUCT) {
+    nextTiers = [];
+    nextMarketTiersInput = [];
+    nextVariantsInput = nextVariantsInput.map((variant) => ({ ...variant, tiers: [] }));
+  }
+  if (!isOrderRule) {
+    nextOrderTiersInput = [];
+  }
+
+  const nextCaps = isOrderRule ? {} : normalizeRuleCaps(nextCapsInput);
+  const invalidCap = CAP_FIELDS.find(
+    ({ field }) => !isOrderRule && nextCapsInput[field] && nextCaps[field] === undefined,
+  );
+  if (invalidCap) {
+    return { ok: false, errors: [invalidCap.error] };
+  }
+
+  const nextBxgy = isBxgyRule ? normalizeBxgyOffer(nextBxgyInput) : null;
+  if (isBxgyRule && !nextBxgy) {
+    return {
+      ok: false,
+      errors: [
+        "Buy X get Y needs a title, buy and get quantities (>= 1), and a discount between 1 and 100 percent.",
+      ],
+    };
+  }
+
+  if (!RULE_BUYER_TYPES.includes(nextBuyer)) {
+    return { ok: false, errors: ["Eligibility must be all customers, retail only, or B2B only."] };
+  }
+
+  const nextProductIds = normalizeProductIds(nextProductsInput);
+  const nextCollectionIds = normalizeCollectionIds(nextCollectionsInput);
+  const invalidVariantIndex = nextVariantsInput.findIndex(
+    (variant) =>
+      variant?.excluded !== true &&
+      (Array.isArray(variant?.tiers) ? variant.tiers : []).some(
+        (tier) => !normalizeStoredTier(tier),
+      ),
+  );
+  if (invalidVariantIndex >= 0) {
+    const variantTitle = nextVariantsInput[invalidVariantIndex]?.title || "variant";
+    return {
+      ok: false,
+      errors: [
+        `Custom tiers for ${variantTitle} must each have a title, minimum quantity (>= 1), and a valid discount.`,
+      ],
+    };
+  }
+  const nextVariants = nextVariantsInput.map(normalizeRuleVariantEntry).filter(Boolean);
+  const hasIncludedVariants = nextVariants.some((variant) => !variant.excluded);
+  if (
+    !isStoreWide &&
+    nextProductIds.length === 0 &&
+    nextCollectionIds.length === 0 &&
+    !hasIncludedVariants
+  ) {
+    return {
+      ok: false,
+      errors: ["At least one product, collection, or variant is required for this rule."],
+    };
+  }
+  const productIds = nextProductIds;
+
+  const invalidMarketIndex = nextMarketTiersInput.findIndex(
+    (entry) =>
+      !normalizeRuleMarketTierSet(entry) ||
+      (Array.isArray(entry?.tiers) ? entry.tiers : []).some((tier) => !normalizeStoredTier(tier)),
+  );
+  if (invalidMarketIndex >= 0) {
+    return {
+      ok: false,
+      errors: [
+        `Market tier set ${invalidMarketIndex + 1} needs a market or two-letter country code, and tiers that each have a title, minimum quantity (>= 1), and a valid discount.`,
+      ],
+    };
+  }
+  const nextMarketTiers = nextMarketTiersInput.map(normalizeRuleMarketTierSet);
+  const marketKeys = nextMarketTiers.map(getMarketTierSetKey);
+  if (new Set(marketKeys).size !== marketKeys.length) {
+    return { ok: false, errors: ["Each market or country can only have one tier set."] };
+  }
+
+  const parsedTiers = nextTiers.map((tier) =>
+    normalizeStoredTier({
+      title: String(tier?.title || "").trim(),
+      min_quantity: String(tier?.min_quantity || "").trim(),
+      type: String(tier?.type || "").trim(),
+      percent_off: String(tier?.percent_off || "").trim(),
+      amount_off: String(tier?.amount_off || "").trim(),
+      unit_price: String(tier?.unit_price || "").trim(),
+    }),
+  );
+  if (
+    !isBxgyRule &&
+    parsedTiers.length === 0 &&
+    nextOrderTiersInput.length === 0 &&
+    nextShippingTiersInput.length === 0
+  ) {
+    return { ok: false, errors: ["At least one discount tier or shipping tier is required."] };
+  }
+
+  const invalidTierIndex = parsedTiers.findIndex((tier) => !tier);
+
+  if (invalidTierIndex >= 0) {
+    return {
+      ok: false,
+      errors: [
+        `Tier ${invalidTierIndex + 1} must have a title, minimum quantity (>= 1), and a valid discount (percent 0-100, or an amount of at least 0).`,
+      ],
+    };
+  }
+
+  nextTiers = [...parsedTiers].sort((a, b) => a.min_quantity - b.min_quantity);
+
+  const parsedOrderTiers = nextOrderTiersInput.map((tier) =>
+    normalizeOrderTier(tier, nextOrderThreshold),
+  );
+  const invalidOrderTierIndex = parsedOrderTiers.findIndex((tier) => !tier);
+  if (invalidOrderTierIndex >= 0) {
+    const minimumLabel =
+      nextOrderThreshold === ORDER_THRESHOLD_SUBTOTAL ? "minimum spend (> 0)" : "minimum items (>= 1)";
+    return {
+      ok: false,
+      errors: [
+        `Order tier ${invalidOrderTierIndex + 1} must have a title, ${minimumLabel}, and a valid discount (percent 1-100, or an amount above 0).`,
+      ],
+    };
+  }
+  const nextOrderTiers = parsedOrderTiers.sort(
+    (a, b) => (a.min_subtotal ?? a.min_quantity) - (b.min_subtotal ?? b.min_quantity),
+  );
+
+  const parsedShippingTiers = nextShippingTiersInput.map((tier) => normalizeShippingTier(tier));
+  const invalidShippingTierIndex = parsedShippingTiers.findIndex((tier) => !tier);
+  if (invalidShippingTierIndex >= 0) {
+    return {
+      ok: false,
+      errors: [
+        `Shipping tier ${invalidShippingTierIndex + 1} must have a title, minimum quantity (>= 1), and a percent off shipping between 1 and 100.`,
+      ],
+    };
+  }
+  const nextShippingTiers = parsedShippingTiers.sort((a, b) => a.min_quantity - b.min_quantity);
+
+  const record = await findRule(session.shop, ruleId);
+  if (!record) {
+    return { ok: false, errors: ["Rule not found."] };
+  }
+
+  const saved = await saveRule(
+    session.shop,
+    {
+      ...record.rule,
+      title: nextTitle,
+      status: nextStatus,
+      kind: nextKind,
+      ...(isOrderRule
+        ? {
+            order_threshold: nextOrderThreshold,
+            order_tiers: nextOrderTiers,
+            all_products: nextAllProducts,
+          }
+        : { order_threshold: undefined, order_tiers: undefined, all_products: undefined }),
+      bxgy: nextBxgy || undefined,
+      caps: Object.keys(nextCaps).length > 0 ? nextCaps : undefined,
+      count_by: nextCountBy,
+      pricing: nextPricing === RULE_PRICING_GRADUATED ? nextPricing : undefined,
+      priority: nextPriority > 0 ? nextPriority : undefined,
+      starts_at: nextStartsAt || undefined,
+      ends_at: nextEndsAt || undefined,
+      buyer: nextBuyer,
+      customer_tags: nextCustomerTags,
+      products: productIds,
+      collections: nextCollectionIds,
+      collection_product_ids: await fetchCollectionProductIds(admin, nextCollectionIds),
+      variants: nextVariants,
+      tiers: nextTiers,
+      market_tiers: nextMarketTiers,
+      shipping_tiers: nextShippingTiers,
+    },
+    writeOptions,
+  );
+  if (saved.status === RULE_WRITE_CONFLICT) return CONFLICT_RESULT;
+  if (saved.status === RULE_WRITE_NOT_FOUND) {
+    return { ok: false, errors: ["Rule not found."] };
+  }
+
+  const savedRecord = await findRule(session.shop, ruleId);
+  const nextProducts = await fetchProductSummaries(admin, productIds);
+  const nextCollections = await fetchCollectionSummaries(admin, nextCollectionIds);
+  const nextVariantSummaries = await fetchVariantSummaries(admin, nextVariants);
+
+  return {
+    ok: true,
+    actionType: "update-rule-settings",
+    successKey: `update-rule-settings|${Date.now()}`,
+    nextTitle,
+    nextStatus,
+    nextKind,
+    nextOrderThreshold,
+    nextOrderTiers,
+    nextAllProducts,
+    nextBxgy,
+    nextCaps,
+    nextCountBy,
+    nextPricing,
+    nextPriority,
+    nextStartsAt,
+    nextEndsAt,
+    nextBuyer,
+    nextCustomerTags,
+    nextProducts,
+    nextCollections,
+    nextVariants: nextVariantSummaries,
+    nextTiers,
+    nextMarketTiers,
+    nextShippingTiers,
+    nextRevision: saved.revision,
+    nextPublishState: savedRecord?.publishState,
+    nextPendingChanges: savedRecord ? getPendingChangeLabels(savedRecord) : [],
+  };
+};
+
+export const shouldRevalidate = ({ actionResult, defaultShouldRevalidate }) => {
+  if (actionResult?.ok && actionResult?.actionType === "update-rule-settings") return false;
+  // Keep the unsaved edits on screen so they can be merged into the reloaded rule.
+  if (actionResult?.conflict) return false;
+  return defaultShouldRevalidate;
+};
+
+const renderOrderTierFields = ({ key, tier, threshold, onFieldChange, onRemove }) => {
+  const thresholdOption = getOrderThresholdOption(threshold);
+  const typeOption = getOrderTierTypeOption(tier?.type);
+
+  return (
+    <s-stack key={key} direction="inline" gap="base" alignItems="end">
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          label="Title"
+          value={tier?.title ?? ""}
+          onInput={(event) => {
+            onFieldChange("title", event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          type="number"
+          label={thresholdOption.fieldLabel}
+          value={tier?.[thresholdOption.field] ?? ""}
+          onInput={(event) => {
+            onFieldChange(thresholdOption.field, event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-select
+          label="Discount type"
+          value={typeOption.value}
+          onChange={(event) => {
+            onFieldChange("type", event.currentTarget?.value ?? "");
+          }}
+        >
+          {ORDER_TIER_TYPE_OPTIONS.map((option) => (
+            <s-option key={option.value} value={option.value}>
+              {option.label}
+            </s-option>
+          ))}
+        </s-select>
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          type="number"
+          label={typeOption.label}
+          value={tier?.[typeOption.field] ?? ""}
+          onInput={(event) => {
+            onFieldChange(typeOption.field, event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      {onRemove ? (
+        <s-button
+          type="button"
+          variant="secondary"
+          icon="delete"
+          accessibilityLabel="Delete order tier"
+          onClick={onRemove}
+        />
+      ) : null}
+    </s-stack>
+  );
+};
+
+const renderShippingTierFields = ({ key, tier, onFieldChange, onRemove }) => (
+  <s-stack key={key} direction="inline" gap="base" alignItems="end">
+    <div style={{ flex: 1 }}>
+      <s-text-field
+        label="Title"
+        value={tier?.title ?? ""}
+        onInput={(event) => {
+          onFieldChange("title", event.currentTarget?.value ?? "");
+        }}
+      />
+    </div>
+    <div style={{ flex: 1 }}>
+      <s-text-field
+        type="number"
+        label="Minimum Product Quantity"
+        value={tier?.min_quantity ?? ""}
+        onInput={(event) => {
+          onFieldChange("min_quantity", event.currentTarget?.value ?? "");
+        }}
+      />
+    </div>
+    <div style={{ flex: 1 }}>
+      <s-text-field
+        type="number"
+        label="Percent off shipping"
+        value={tier?.percent_off ?? ""}
+        onInput={(event) => {
+          onFieldChange("percent_off", event.currentTarget?.value ?? "");
+        }}
+      />
+    </div>
+    <s-button
+      type="button"
+      variant="secondary"
+      icon="delete"
+      accessibilityLabel="Delete shipping tier"
+      onClick={onRemove}
+    />
+  </s-stack>
+);
+
+const renderTierFields = ({ key, tier, onFieldChange, onRemove }) => {
+  const typeOption = getTierTypeOption(tier?.type);
+
+  return (
+    <s-stack key={key} direction="inline" gap="base" alignItems="end">
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          label="Title"
+          value={tier?.title ?? ""}
+          onInput={(event) => {
+            onFieldChange("title", event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          type="number"
+          label="Minimum Product Quantity"
+          value={tier?.min_quantity ?? ""}
+          onInput={(event) => {
+            onFieldChange("min_quantity", event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-select
+          label="Discount type"
+          value={typeOption.value}
+          onChange={(event) => {
+            onFieldChange("type", event.currentTarget?.value ?? "");
+          }}
+        >
+          {TIER_TYPE_OPTIONS.map((option) => (
+            <s-option key={option.value} value={option.value}>
+              {option.label}
+            </s-option>
+          ))}
+        </s-select>
+      </div>
+      <div style={{ flex: 1 }}>
+        <s-text-field
+          type="number"
+          label={typeOption.label}
+          value={tier?.[typeOption.field] ?? ""}
+          onInput={(event) => {
+            onFieldChange(typeOption.field, event.currentTarget?.value ?? "");
+          }}
+        />
+      </div>
+      {onRemove ? (
+        <s-button
+          type="button"
+          variant="secondary"
+          icon="delete"
+          accessibilityLabel="Delete tier"
+          onClick={onRemove}
+        />
+      ) : null}
+    </s-stack>
+  );
+};
+
+export default function QuantityBreakRulePage() {
+  const data = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+  const ruleFormRef = useRef(null);
+  const mutationInputRef = useRef(null);
+  const tiersInputRef = useRef(null);
+  const marketTiersInputRef = useRef(null);
+  const shippingTiersInputRef = useRef(null);
+  const orderTiersInputRef = useRef(null);
+  const productsInputRef = useRef(null);
+  const collectionsInputRef = useRef(null);
+  const variantsInputRef = useRef(null);
+  const lastSuccessKeyRef = useRef("");
+  const pendingMergeRef = useRef(null);
+  const backHref = "/app";
+  const initialState = buildEditorState(data);
+  const currentStateRef = useRef(cloneEditorState(initialState));
+  const committedStateRef = useRef(cloneEditorState(initialState));
+  const [title, setTitle] = useState(initialState.title);
+  const [savedHeadingTitle, setSavedHeadingTitle] = useState(initialState.title);
+  const [savedTierCount, setSavedTierCount] = useState(initialState.tiers.length);
+  const [status, setStatus] = useState(initialState.status);
+  const [kind, setKind] = useState(initialState.kind);
+  const [orderThreshold, setOrderThreshold] = useState(initialState.orderThreshold);
+  const [orderTiers, setOrderTiers] = useState(initialState.orderTiers);
+  const [allProducts, setAllProducts] = useState(initialState.allProducts);
+  const [bxgy, setBxgy] = useState(initialState.bxgy);
+  const [caps, setCaps] = useState(initialState.caps);
+  const [countBy, setCountBy] = useState(initialState.countBy);
+  const [pricing, setPricing] = useState(initialState.pricing);
+  const [priority, setPriority] = useState(initialState.priority);
+  const [previewPrice, setPreviewPrice] = useState("");
+  const [startsAt, setStartsAt] = useState(initialState.startsAt);
+  const [endsAt, setEndsAt] = useState(initialState.endsAt);
+  const [buyer, setBuyer] = useState(initialState.buyer);
+  const [customerTags, setCustomerTags] = useState(initialState.customerTags);
+  const [tiers, setTiers] = useState(initialState.tiers);
+  const [marketTiers, setMarketTiers] = useState(initialState.marketTiers);
+  const [shippingTiers, setShippingTiers] = useState(initialState.shippingTiers);
+  const [products, setProducts] = useState(initialState.products);
+  const [collections, setCollections] = useState(initialState.collections);
+  const [variants, setVariants] = useState(initialState.variants);
+  const [revision, setRevision] = useState(data.revision);
+  const [hasConflict, setHasConflict] = useState(false);
+  const [publishState, setPublishState] = useState(data.publishState);
+  const [pendingChanges, setPendingChanges] = useState(data.pendingChanges || []);
+  const publishFetcher = useFetcher();
+
+  const resetMutationInput = () => {
+    const mutationInput = mutationInputRef.current;
+    if (!mutationInput) return;
+    mutationInput.value = "0";
+    mutationInput.defaultValue = "0";
+  };
+
+  const handleDeleteRule = () => {
+    const deleteData = new FormData();
+    deleteData.set("_action", "delete-rule");
+    deleteData.set("revision", String(revision ?? ""));
+    fetcher.submit(deleteData, { method: "post" });
+  };
+
+  const handleReloadAndMerge = () => {
+    pendingMergeRef.current = {
+      base: cloneEditorState(committedStateRef.current),
+      mine: cloneEditorState(currentStateRef.current),
+    };
+    revalidator.revalidate();
+  };
+
+  const showSaveBarNow = () => {
+    if (!shopify?.saveBar?.show) return;
+    shopify.saveBar.show();
+  };
+
+  const triggerFieldSaveBar = (input, nextValue) => {
+    const form = ruleFormRef.current;
+    if (input) {
+      input.value = nextValue;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+    if (form) {
+      form.dispatchEvent(new Event("input", { bubbles: true }));
+      form.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+    showSaveBarNow();
+  };
+
+  const triggerProductsSaveBar = (nextProducts) => {
+    triggerFieldSaveBar(productsInputRef.current, serializeProductIds(nextProducts));
+  };
+
+  const triggerCollectionsSaveBar = (nextCollections) => {
+    triggerFieldSaveBar(collectionsInputRef.current, serializeCollectionIds(nextCollections));
+  };
+
+  const triggerVariantsSaveBar = (nextVariants) => {
+    triggerFieldSaveBar(variantsInputRef.current, JSON.stringify(nextVariants));
+  };
+
+  const triggerMarketTiersSaveBar = (nextMarketTiers) => {
+    triggerFieldSaveBar(marketTiersInputRef.current, JSON.stringify(nextMarketTiers));
+  };
+
+  const triggerOrderTiersSaveBar = (nextOrderTiers) => {
+    triggerFieldSaveBar(orderTiersInputRef.current, JSON.stringify(nextOrderTiers));
+  };
+
+  const triggerShippingTiersSaveBar = (nextShippingTiers) => {
+    triggerFieldSaveBar(shippingTiersInputRef.current, JSON.stringify(nextShippingTiers));
+  };
+
+  const triggerTiersSaveBar = (nextTiers) => {
+    triggerFieldSaveBar(tiersInputRef.current, JSON.stringify(nextTiers));
+  };
+
+  const triggerMutationSaveBar = () => {
+    const mutationInput = mutationInputRef.current;
+    const nextKey = String(Date.now());
+    if (mutationInput) {
+      mutationInput.defaultValue = "0";
+    }
+    triggerFieldSaveBar(mutationInput, nextKey);
+  };
+
+  const restoreCommittedState = () => {
+    const snapshot = cloneEditorState(committedStateRef.current);
+    setTitle(snapshot.title);
+    setStatus(snapshot.status);
+    setKind(snapshot.kind);
+    setOrderThreshold(snapshot.orderThreshold);
+    setOrderTiers(snapshot.orderTiers);
+    setAllProducts(snapshot.allProducts);
+    setBxgy(snapshot.bxgy);
+    setCaps(snapshot.caps);
+    setCountBy(snapshot.countBy);
+    setPricing(snapshot.pricing);
+    setPriority(snapshot.priority);
+    setStartsAt(snapshot.startsAt);
+    setEndsAt(snapshot.endsAt);
+    setBuyer(snapshot.buyer);
+    setCustomerTags(snapshot.customerTags);
+    setTiers(snapshot.tiers);
+    setMarketTiers(snapshot.marketTiers);
+    setShippingTiers(snapshot.shippingTiers);
+    setProducts(snapshot.products);
+    setCollections(snapshot.collections);
+    setVariants(snapshot.variants);
+    resetMutationInput();
+    currentStateRef.current = snapshot;
+  };
+
+  const updateTierField = (index, field, value) => {
+    setTiers((current) =>
+      current.map((tier, tierIndex) =>
+        tierIndex === index
+          ? {
+              ...tier,
+              [field]: value,
+            }
+          : tier,
+      ),
+    );
+  };
+
+  const previewPriceValue = previewPrice || products.find((product) => product.price)?.price || "";
+  const unavailableProductCount = products.filter(
+    (product) => PRODUCT_STATUS_BADGES[product.status],
+  ).length;
+  const previewUnitPrice = Number.parseFloat(previewPriceValue) || 0;
+  const pricePreviewQuantities = getPricePreviewQuantities(tiers);
+
+  const handleAddTier = () => {
+    setTiers((current) => {
+      const next = [
+        ...current,
+        createEmptyTier(),
+      ];
+      showSaveBarNow();
+      return next;
+    });
+  };
+
+  const handleRemoveTier = (index) => {
+    setTiers((current) => {
+      if (current.length <= 1 && shippingTiers.length === 0) return current;
+      const next = current.filter((_, tierIndex) => tierIndex !== index);
+      triggerTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateOrderTierField = (index, field, value) => {
+    setOrderTiers((current) =>
+      current.map((tier, tierIndex) => (tierIndex === index ? { ...tier, [field]: value } : tier)),
+    );
+  };
+
+  const handleAddOrderTier = () => {
+    setOrderTiers((current) => {
+      const next = [...current, createEmptyOrderTier()];
+      showSaveBarNow();
+      return next;
+    });
+  };
+
+  const handleRemoveOrderTier = (index) => {
+    setOrderTiers((current) => {
+      const next = current.filter((_, tierIndex) => tierIndex !== index);
+      triggerOrderTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateShippingTierField = (index, field, value) => {
+    setShippingTiers((current) =>
+      current.map((tier, tierIndex) => (tierIndex === index ? { ...tier, [field]: value } : tier)),
+    );
+  };
+
+  const handleAddShippingTier = () => {
+    setShippingTiers((current) => {
+      const next = [...current, createEmptyShippingTier()];
+      triggerShippingTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleRemoveShippingTier = (index) => {
+    setShippingTiers((current) => {
+      const next = current.filter((_, tierIndex) => tierIndex !== index);
+      triggerShippingTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateMarketTierSet = (index, update) => {
+    setMarketTiers((current) => {
+      const next = current.map((entry, entryIndex) =>
+        entryIndex === index ? { ...entry, ...update(entry) } : entry,
+      );
+      triggerMarketTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateMarketTierField = (index, tierIndex, field, value) => {
+    setMarketTiers((current) =>
+      current.map((entry, entryIndex) =>
+        entryIndex === index
+          ? {
+              ...entry,
+              tiers: entry.tiers.map((tier, currentTierIndex) =>
+                currentTierIndex === tierIndex ? { ...tier, [field]: value } : tier,
+              ),
+            }
+          : entry,
+      ),
+    );
+  };
+
+  const handleAddMarketTierSet = () => {
+    setMarketTiers((current) => {
+      const usedMarkets = new Set(current.map((entry) => entry.market).filter(Boolean));
+      const market = (data.markets || []).find((option) => !usedMarkets.has(option.handle));
+      const next = [
+        ...current,
+        {
+          market: market?.handle || "",
+          country: "",
+          tiers: cloneTiers(tiers.length > 0 ? tiers : [createEmptyTier()]),
+        },
+      ];
+      triggerMarketTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleRemoveMarketTierSet = (index) => {
+    setMarketTiers((current) => {
+      const next = current.filter((_, entryIndex) => entryIndex !== index);
+      triggerMarketTiersSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleRemoveProduct = (productId) => {
+    setProducts((current) => {
+      if (current.length <= 1 && collections.length === 0) return current;
+      const next = current.filter((product) => product.id !== productId);
+      triggerProductsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleAddProducts = async () => {
+    const excludeQuery = buildExcludeProductsQuery(products);
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "add",
+      multiple: true,
+      // Legacy host compatibility: some picker versions still honor showVariants.
+      showVariants: false,
+      filter: {
+        variants: false,
+        query: excludeQuery || undefined,
+      },
+    });
+
+    if (!selection || !Array.isArray(selection)) return;
+
+    const selectedProducts = normalizeProductsForEditor(
+      selection.map((product) => ({
+        id: product?.id,
+        title: product?.title,
+        image: getProductImageUrl(product),
+      })),
+    );
+    if (selectedProducts.length === 0) return;
+
+    setProducts((current) => {
+      const currentIds = new Set(current.map((product) => product.id));
+      const mergedById = new Map(current.map((product) => [product.id, product]));
+      for (const product of selectedProducts) {
+        if (currentIds.has(product.id)) continue;
+        mergedById.set(product.id, product);
+      }
+      const next = Array.from(mergedById.values());
+      if (next.length === current.length) return current;
+      triggerProductsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleRemoveCollection = (collectionId) => {
+    setCollections((current) => {
+      if (current.length <= 1 && products.length === 0) return current;
+      const next = current.filter((collection) => collection.id !== collectionId);
+      triggerCollectionsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleAddCollections = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "collection",
+      action: "add",
+      multiple: true,
+      selectionIds: collections.map((collection) => ({ id: collection.id })),
+    });
+
+    if (!selection || !Array.isArray(selection)) return;
+
+    const selectedCollections = normalizeCollectionsForEditor(selection);
+    if (selectedCollections.length === 0) return;
+
+    setCollections((current) => {
+      const mergedById = new Map(current.map((collection) => [collection.id, collection]));
+      for (const collection of selectedCollections) {
+        if (!mergedById.has(collection.id)) mergedById.set(collection.id, collection);
+      }
+      const next = Array.from(mergedById.values());
+      if (next.length === current.length) return current;
+      triggerCollectionsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateVariant = (variantId, update) => {
+    setVariants((current) => {
+      const next = current.map((variant) =>
+        variant.id === variantId ? { ...variant, ...update(variant) } : variant,
+      );
+      triggerVariantsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const updateVariantTierField = (variantId, index, field, value) => {
+    setVariants((current) =>
+      current.map((variant) =>
+        variant.id === variantId
+          ? {
+              ...variant,
+              tiers: variant.tiers.map((tier, tierIndex) =>
+                tierIndex === index ? { ...tier, [field]: value } : tier,
+              ),
+            }
+          : variant,
+      ),
+    );
+  };
+
+  const handleRemoveVariant = (variantId) => {
+    setVariants((current) => {
+      const next = current.filter((variant) => variant.id !== variantId);
+      triggerVariantsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  const handleAddVariants = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "add",
+      multiple: true,
+      filter: {
+        variants: true,
+      },
+    });
+
+    if (!selection || !Array.isArray(selection)) return;
+
+    const selectedVariants = normalizeVariantsForEditor(
+      selection.flatMap((product) =>
+        (Array.isArray(product?.variants) ? product.variants : []).map((variant) => ({
+          id: variant?.id,
+          product_id: product?.id,
+          title: variant?.displayName || `${product?.title || ""} - ${variant?.title || ""}`,
+        })),
+      ),
+    );
+    if (selectedVariants.length === 0) return;
+
+    setVariants((current) => {
+      const mergedById = new Map(current.map((variant) => [variant.id, variant]));
+      for (const variant of selectedVariants) {
+        if (!mergedById.has(variant.id)) mergedById.set(variant.id, variant);
+      }
+      const next = Array.from(mergedById.values());
+      if (next.length === current.length) return current;
+      triggerVariantsSaveBar(next);
+      triggerMutationSaveBar();
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    currentStateRef.current = cloneEditorState({
+      title,
+      status,
+      kind,
+      orderThreshold,
+      orderTiers,
+      allProducts,
+      bxgy,
+      caps,
+      countBy,
+      pricing,
+      priority,
+      startsAt,
+      endsAt,
+      buyer,
+      customerTags,
+      tiers,
+      marketTiers,
+      shippingTiers,
+      products,
+      collections,
+      variants,
+    });
+  }, [
+    allProducts,
+    buyer,
+    bxgy,
+    caps,
+    collections,
+    countBy,
+    customerTags,
+    endsAt,
+    kind,
+    marketTiers,
+    orderThreshold,
+    orderTiers,
+    pricing,
+    priority,
+    products,
+    shippingTiers,
+    startsAt,
+    status,
+    tiers,
+    title,
+    variants,
+  ]);
+
+  useEffect(() => {
+    if (!shopify?.saveBar) return;
+    const hasUnsavedChanges = !editorStatesMatch(currentStateRef.current, committedStateRef.current);
+    if (hasUnsavedChanges) {
+      shopify.saveBar.show();
+      return;
+    }
+    shopify.saveBar.hide();
+  }, [
+    allProducts,
+    buyer,
+    bxgy,
+    caps,
+    collections,
+    countBy,
+    customerTags,
+    endsAt,
+    kind,
+    marketTiers,
+    orderThreshold,
+    orderTiers,
+    pricing,
+    priority,
+    products,
+    shippingTiers,
+    shopify,
+    startsAt,
+    status,
+    tiers,
+    title,
+    variants,
+  ]);
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+
+    if (fetcher.data.ok) {
+      const successKey = fetcher.data.successKey || `${fetcher.data.nextHandle || ""}|${fetcher.data.nextTitle || ""}`;
+      if (lastSuccessKeyRef.current !== successKey) {
+        const isDelete = fetcher.data.actionType === "delete-rule";
+        shopify.toast.show(isDelete ? "Discount deleted" : "Draft saved");
+        lastSuccessKeyRef.current = successKey;
+      }
+      if (fetcher.data.actionType === "delete-rule" && fetcher.data.redirectTo) {
+        navigate(fetcher.data.redirectTo, { replace: true });
+        return;
+      }
+      if (fetcher.data.nextRevision !== undefined) setRevision(fetcher.data.nextRevision);
+      if (fetcher.data.nextPublishState) {
+        setPublishState(fetcher.data.nextPublishState);
+        setPendingChanges(fetcher.data.nextPendingChanges || []);
+      }
+      setHasConflict(false);
+      const nextState = buildEditorState({
+        title: fetcher.data.nextTitle || currentStateRef.current.title,
+        status: fetcher.data.nextStatus || currentStateRef.current.status,
+        kind: fetcher.data.nextKind || currentStateRef.current.kind,
+        orderThreshold: fetcher.data.nextOrderThreshold || currentStateRef.current.orderThreshold,
+        orderTiers: Array.isArray(fetcher.data.nextOrderTiers)
+          ? fetcher.data.nextOrderTiers
+          : currentStateRef.current.orderTiers,
+        allProducts: fetcher.data.nextAllProducts ?? currentStateRef.current.allProducts,
+        bxgy: fetcher.data.nextBxgy ?? currentStateRef.current.bxgy,
+        caps: fetcher.data.nextCaps ?? currentStateRef.current.caps,
+        countBy: fetcher.data.nextCountBy || currentStateRef.current.countBy,
+        pricing: fetcher.data.nextPricing || currentStateRef.current.pricing,
+        priority: fetcher.data.nextPriority ?? currentStateRef.current.priority,
+        startsAt: fetcher.data.nextStartsAt ?? currentStateRef.current.startsAt,
+        endsAt: fetcher.data.nextEndsAt ?? currentStateRef.current.endsAt,
+        buyer: fetcher.data.nextBuyer || currentStateRef.current.buyer,
+        customerTags: fetcher.data.nextCustomerTags ?? currentStateRef.current.customerTags,
+        products: Array.isArray(fetcher.data.nextProducts)
+          ? fetcher.data.nextProducts
+          : currentStateRef.current.products,
+        collections: Array.isArray(fetcher.data.nextCollections)
+          ? fetcher.data.nextCollections
+          : currentStateRef.current.collections,
+        variants: Array.isArray(fetcher.data.nextVariants)
+          ? fetcher.data.nextVariants
+          : currentStateRef.current.variants,
+        tiers: Array.isArray(fetcher.data.nextTiers)
+          ? fetcher.data.nextTiers
+          : currentStateRef.current.tiers,
+        marketTiers: Array.isArray(fetcher.data.nextMarketTiers)
+          ? fetcher.data.nextMarketTiers
+          : currentStateRef.current.marketTiers,
+        shippingTiers: Array.isArray(fetcher.data.nextShippingTiers)
+          ? fetcher.data.nextShippingTiers
+          : currentStateRef.current.shippingTiers,
+      });
+      setTitle(nextState.title);
+      setStatus(nextState.status);
+      setKind(nextState.kind);
+      setOrderThreshold(nextState.orderThreshold);
+      setOrderTiers(nextState.orderTiers);
+      setAllProducts(nextState.allProducts);
+      setBxgy(nextState.bxgy);
+      setCaps(nextState.caps);
+      setCountBy(nextState.countBy);
+      setPricing(nextState.pricing);
+      setPriority(nextState.priority);
+      setStartsAt(nextState.startsAt);
+      setEndsAt(nextState.endsAt);
+      setBuyer(nextState.buyer);
+      setCustomerTags(nextState.customerTags);
+      setProducts(nextState.products);
+      setCollections(nextState.collections);
+      setVariants(nextState.variants);
+      setTiers(nextState.tiers);
+      setMarketTiers(nextState.marketTiers);
+      setShippingTiers(nextState.shippingTiers);
+      resetMutationInput();
+      setSavedHeadingTitle(nextState.title);
+      setSavedTierCount(nextState.tiers.length);
+      currentStateRef.current = cloneEditorState(nextState);
+      committedStateRef.current = cloneEditorState(nextState);
+      if (shopify?.saveBar?.hide) shopify.saveBar.hide();
+      return;
+    }
+
+    if (fetcher.data.conflict) setHasConflict(true);
+    if (Array.isArray(fetcher.data.errors) && fetcher.data.errors.length > 0) {
+      shopify.toast.show(fetcher.data.errors[0], { isError: true });
+    }
+  }, [fetcher.data, navigate, shopify]);
+
+  useEffect(() => {
+    const savedState = buildEditorState(data);
+    const pendingMerge = pendingMergeRef.current;
+    pendingMergeRef.current = null;
+    const merge = pendingMerge
+      ? mergeEditorStates(pendingMerge.base, pendingMerge.mine, savedState)
+      : null;
+    const nextState = merge ? merge.state : savedState;
+    setTitle(nextState.title);
+    setStatus(nextState.status);
+    setKind(nextState.kind);
+    setOrderThreshold(nextState.orderThreshold);
+    setOrderTiers(nextState.orderTiers);
+    setAllProducts(nextState.allProducts);
+    setBxgy(nextState.bxgy);
+    setCaps(nextState.caps);
+    setCountBy(nextState.countBy);
+    setPricing(nextState.pricing);
+    setPriority(nextState.priority);
+    setStartsAt(nextState.startsAt);
+    setEndsAt(nextState.endsAt);
+    setBuyer(nextState.buyer);
+    setCustomerTags(nextState.customerTags);
+    setProducts(nextState.products);
+    setCollections(nextState.collections);
+    setVariants(nextState.variants);
+    setTiers(nextState.tiers);
+    setMarketTiers(nextState.marketTiers);
+    setShippingTiers(nextState.shippingTiers);
+    resetMutationInput();
+    setSavedHeadingTitle(savedState.title);
+    setSavedTierCount(savedState.tiers.length);
+    setRevision(data.revision);
+    setHasConflict(false);
+    setPublishState(data.publishState);
+    setPendingChanges(data.pendingChanges || []);
+    currentStateRef.current = cloneEditorState(nextState);
+    committedStateRef.current = cloneEditorState(savedState);
+    if (!merge) {
+      if (shopify?.saveBar?.hide) shopify.saveBar.hide();
+      return;
+    }
+    // The save bar effect shows the merged edits as unsaved against the reloaded rule.
+    if (merge.conflicts.length > 0) {
+      shopify.toast.show(`Kept your changes to: ${merge.conflicts.join(", ")}`);
+    }
+  }, [data, shopify]);
+
+  useEffect(() => {
+    if (!publishFetcher.data) return;
+
+    if (publishFetcher.data.ok) {
+      shopify.toast.show("Rule published");
+      return;
+    }
+
+    if (publishFetcher.data.conflict) setHasConflict(true);
+    if (Array.isArray(publishFetcher.data.errors) && publishFetcher.data.errors.length > 0) {
+      shopify.toast.show(publishFetcher.data.errors[0], { isError: true });
+    }
+  }, [publishFetcher.data, shopify]);
+
+  const handlePublishRule = () => {
+    if (!editorStatesMatch(currentStateRef.current, committedStateRef.current)) {
+      shopify.toast.show("Save your changes before publishing", { isError: true });
+      return;
+    }
+    const formData = new FormData();
+    formData.set("_action", "publish-rule");
+    formData.set("revision", String(revision ?? ""));
+    publishFetcher.submit(formData, { method: "post" });
+  };
+
+  if (data.notFound) {
+    return (
+      <s-page heading="Discount rule" inlineSize="small">
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" alignItems="center" gap="small-100">
+            <s-button variant="secondary" icon="arrow-left" href={backHref} />
+            <s-heading>{data.title}</s-heading>
+          </s-stack>
+          <s-section>
+            <s-text>This rule was not found.</s-text>
+          </s-section>
+        </s-stack>
+      </s-page>
+    );
+  }
+
+  const serializedProducts = serializeProductIds(products);
+  const serializedCollections = serializeCollectionIds(collections);
+
+  return (
+    <s-page heading="Discount rule" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        <form
+          method="post"
+          id="rule-settings-form"
+          data-save-bar
+          ref={ruleFormRef}
+          onSubmit={(event) => {
+            event.preventDefault();
+            const form = event.currentTarget;
+            fetcher.submit(new FormData(form), { method: "post" });
+          }}
+          onReset={(event) => {
+            event.preventDefault();
+            restoreCommittedState();
+          }}
+        >
+          <input type="hidden" name="_action" value="update-rule-settings" />
+          <input type="hidden" name="revision" value={String(revision ?? "")} />
+          <input
+            ref={mutationInputRef}
+            type="text"
+            name="_mutationKey"
+            defaultValue="0"
+            tabIndex={-1}
+            aria-hidden="true"
+            autoComplete="off"
+            style={{
+              position: "absolute",
+              opacity: 0,
+              pointerEvents: "none",
+              inlineSize: "1px",
+              blockSize: "1px",
+              inset: 0,
+            }}
+          />
+          <input ref={tiersInputRef} type="hidden" name="tiers" value={JSON.stringify(tiers)} />
+          <input
+            ref={orderTiersInputRef}
+            type="hidden"
+            name="orderTiers"
+            value={JSON.stringify(orderTiers)}
+          />
+          <input type="hidden" name="allProducts" value={allProducts ? "true" : "false"} />
+          <input
+            ref={shippingTiersInputRef}
+            type="hidden"
+            name="shippingTiers"
+            value={JSON.stringify(shippingTiers)}
+          />
+          <input
+            ref={marketTiersInputRef}
+            type="hidden"
+            name="marketTiers"
+            value={JSON.stringify(marketTiers)}
+          />
+          <input ref={productsInputRef} type="hidden" name="products" value={serializedProducts} />
+          <input
+            ref={collectionsInputRef}
+            type="hidden"
+            name="collections"
+            value={serializedCollections}
+          />
+          <input
+            ref={variantsInputRef}
+            type="hidden"
+            name="variants"
+            value={JSON.stringify(variants)}
+          />
+
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" alignItems="center" justifyContent="space-between" gap="small-100">
+              <s-stack direction="inline" alignItems="center" gap="small-100">
+                <s-button type="button" variant="secondary" icon="arrow-left" href={backHref} />
+                <s-heading>{savedHeadingTitle}</s-heading>
+              </s-stack>
+              <s-stack direction="inline" gap="small-100">
+                <s-button type="button" variant="secondary" href={`/app/${data.ruleId}/history`}>
+                  History
+                </s-button>
+                <s-button type="button" variant="secondary" tone="critical" onClick={handleDeleteRule}>
+                  {savedTierCount > 1 ? "Delete discounts" : "Delete discount"}
+                </s-button>
+              </s-stack>
+            </s-stack>
+
+            {publishState === "draft" ? (
+              <s-banner tone="info" heading="This rule is a draft">
+                <s-stack direction="block" gap="small-200">
+                  <s-paragraph>Checkout will not apply it until it is published.</s-paragraph>
+                  <s-button
+                    type="button"
+                    variant="secondary"
+                    loading={publishFetcher.state !== "idle"}
+                    onClick={handlePublishRule}
+                  >
+                    Publish
+                  </s-button>
+                </s-stack>
+              </s-banner>
+            ) : null}
+
+            {publishState === "pending" ? (
+              <s-banner tone="warning" heading="This rule has unpublished changes">
+                <s-stack direction="block" gap="small-200">
+                  <s-paragraph>
+                    Checkout still uses the published version. Changed: {pendingChanges.join(", ")}.
+                  </s-paragraph>
+                  <s-button
+                    type="button"
+                    variant="secondary"
+                    loading={publishFetcher.state !== "idle"}
+                    onClick={handlePublishRule}
+                  >
+                    Publish changes
+                  </s-button>
+                </s-stack>
+              </s-banner>
+            ) : null}
+
+            {hasConflict ? (
+              <s-banner tone="critical" heading="This rule was changed by someone else">
+                <s-stack direction="block" gap="small-200">
+                  <s-paragraph>
+                    Your changes were not saved. Reload to bring in their version; anything you
+                    edited here is kept, then save again.
+                  </s-paragraph>
+                  <s-button
+                    type="button"
+                    variant="secondary"
+                    loading={revalidator.state === "loading"}
+                    onClick={handleReloadAndMerge}
+                  >
+                    Reload and merge
+                  </s-button>
+                </s-stack>
+              </s-banner>
+            ) : null}
+
+            {data.overlappingRules.length > 0 ? (
+              <s-banner tone="warning" heading="Other rules share products with this rule">
+                <s-stack direction="block" gap="small-200">
+                  <s-paragraph>
+                    When several rules discount the same product,{" "}
+                    {CONFLICT_STRATEGY_DESCRIPTIONS[data.conflictStrategy]}. Change this on the home
+                    page.
+                  </s-paragraph>
+                  <ul style={{ margin: 0, paddingLeft: 16 }}>
+                    {data.overlappingRules.map((other) => (
+                      <li key={other.id}>
+                        <s-link href={`/app/${other.id}`}>{other.title}</s-link>
+                        {other.priority > 0 ? ` (priority ${other.priority})` : ""}
+                      </li>
+                    ))}
+                  </ul>
+                </s-stack>
+              </s-banner>
+            ) : null}
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-text-field
+                  label="Title"
+                  name="title"
+                  value={title}
+                  onInput={(event) => {
+                    setTitle(event.currentTarget?.value ?? "");
+                  }}
+                />
+                <s-select
+                  label="Status"
+                  name="status"
+                  value={status}
+                  onChange={(event) => {
+                    setStatus(event.currentTarget.value);
+                  }}
+                >
+                  <s-option value="active">Active</s-option>
+                  <s-option value="inactive">Inactive</s-option>
+                </s-select>
+                <s-select
+                  label="Rule type"
+                  name="kind"
+                  value={kind}
+                  onChange={(event) => {
+                    const nextKind = event.currentTarget.value;
+                    setKind(nextKind);
+                    if (nextKind === "order" && orderTiers.length === 0) {
+                      setOrderTiers([createEmptyOrderTier()]);
+                    }
+                    if (nextKind === "product" && tiers.length === 0) {
+                      setTiers([createEmptyTier()]);
+                    }
+                  }}
+                >
+                  {KIND_OPTIONS.map((option) => (
+                    <s-option key={option.value} value={option.value}>
+                      {option.label}
+                    </s-option>
+                  ))}
+                </s-select>
+                <s-text-field
+                  type="number"
+                  label="Priority"
+                  name="priority"
+                  value={priority}
+                  details="Higher numbers win when the shop resolves conflicts by priority."
+                  onInput={(event) => {
+                    setPriority(event.currentTarget?.value ?? "");
+                  }}
+                />
+                <s-stack direction="inline" gap="base">
+                  <div style={{ flex: 1 }}>
+                    <s-date-field
+                      label="Start date"
+                      name="startsAt"
+                      value={startsAt}
+                      onChange={(event) => {
+                        setStartsAt(event.currentTarget?.value ?? "");
+                      }}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <s-date-field
+                      label="End date"
+                      name="endsAt"
+                      value={endsAt}
+                      onChange={(event) => {
+                        setEndsAt(event.currentTarget?.value ?? "");
+                      }}
+                    />
+                  </div>
+                </s-stack>
+                <s-text color="subdued">
+                  Optional. Dates follow the store&apos;s timezone: the rule starts at the beginning of
+                  the start date and stops after the end date.
+                </s-text>
+              </s-stack>
+            </s-section>
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-heading>Eligibility</s-heading>
+                <s-select
+                  label="Customers"
+                  name="buyer"
+                  value={buyer}
+                  onChange={(event) => {
+                    setBuyer(event.currentTarget.value);
+                  }}
+                >
+                  {BUYER_OPTIONS.map((option) => (
+                    <s-option key={option.value} value={option.value}>
+                      {option.label}
+                    </s-option>
+                  ))}
+                </s-select>
+                <s-text-field
+                  label="Customer tags"
+                  name="customerTags"
+                  value={customerTags}
+                  details="Optional. Separate tags with commas. Customers need at least one of these tags to get the tiers."
+                  onInput={(event) => {
+                    setCustomerTags(event.currentTarget?.value ?? "");
+                  }}
+                />
+              </s-stack>
+            </s-section>
+
+            {kind === "order" ? (
+              <s-section>
+                <s-stack direction="block" gap="base">
+                  <s-heading>Order discount tiers</s-heading>
+                  <input type="hidden" name="countBy" value={countBy} />
+                  <s-select
+                    label="Qualify by"
+                    name="orderThreshold"
+                    value={orderThreshold}
+                    onChange={(event) => {
+                      setOrderThreshold(event.currentTarget.value);
+                    }}
+                  >
+                    {ORDER_THRESHOLD_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-stack direction="block" gap="small-200">
+                    {orderTiers.length > 0 ? (
+                      orderTiers.map((tier, index) =>
+                        renderOrderTierFields({
+                          key: `order-tier-${index}`,
+                          tier,
+                          threshold: orderThreshold,
+                          onFieldChange: (field, value) => updateOrderTierField(index, field, value),
+                          onRemove:
+                            orderTiers.length > 1 || shippingTiers.length > 0
+                              ? () => handleRemoveOrderTier(index)
+                              : null,
+                        }),
+                      )
+                    ) : (
+                      <s-text>No order tiers found for this rule.</s-text>
+                    )}
+                  </s-stack>
+                  <s-button type="button" variant="primary" onClick={handleAddOrderTier}>
+                    Add order tier
+                  </s-button>
+                </s-stack>
+              </s-section>
+            ) : null}
+
+            {kind === "bxgy" ? (
+              <s-section>
+                <s-stack direction="block" gap="base">
+                  <s-heading>Buy X get Y</s-heading>
+                  <input type="hidden" name="countBy" value={countBy} />
+                  <s-text-field
+                    label="Title"
+                    name="bxgyTitle"
+                    value={bxgy.title}
+                    details="This is what customers see in checkout."
+                    onInput={(event) => {
+                      const value = event.currentTarget?.value ?? "";
+                      setBxgy((current) => ({ ...current, title: value }));
+                    }}
+                  />
+                  <s-stack direction="inline" gap="base">
+                    <div style={{ flex: 1 }}>
+                      <s-text-field
+                        type="number"
+                        label="Customer buys"
+                        name="bxgyBuyQuantity"
+                        value={bxgy.buy_quantity}
+                        onInput={(event) => {
+                          const value = event.currentTarget?.value ?? "";
+                          setBxgy((current) => ({ ...current, buy_quantity: value }));
+                        }}
+                      />
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <s-text-field
+                        type="number"
+                        label="Customer gets"
+                        name="bxgyGetQuantity"
+                        value={bxgy.get_quantity}
+                        onInput={(event) => {
+                          const value = event.currentTarget?.value ?? "";
+                          setBxgy((current) => ({ ...current, get_quantity: value }));
+                        }}
+                      />
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <s-text-field
+                        type="number"
+                        label="Percent off items they get"
+                        name="bxgyPercentOff"
+                        value={bxgy.percent_off}
+                        onInput={(event) => {
+                          const value = event.currentTarget?.value ?? "";
+                          setBxgy((current) => ({ ...current, percent_off: value }));
+                        }}
+                      />
+                    </div>
+                  </s-stack>
+                  <s-select
+                    label="Discounted items"
+                    name="bxgyReward"
+                    value={bxgy.reward}
+                    onChange={(event) => {
+                      const value = event.currentTarget.value;
+                      setBxgy((current) => ({ ...current, reward: value }));
+                    }}
+                  >
+                    {BXGY_REWARD_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-text color="subdued">
+                    Use 100% to make the items free. With the cheapest items, every product in this
+                    rule counts together; with the same item, each variant counts on its own.
+                  </s-text>
+                </s-stack>
+              </s-section>
+            ) : null}
+
+            {kind === "product" ? (
+              <s-section>
+                <s-stack direction="block" gap="base">
+                  <s-heading>Discount tiers</s-heading>
+                  <s-select
+                    label="Count quantities"
+                    name="countBy"
+                    value={countBy}
+                    onChange={(event) => {
+                      setCountBy(event.currentTarget.value);
+                    }}
+                  >
+                    {COUNT_BY_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-select
+                    label="Pricing"
+                    name="pricing"
+                    value={pricing}
+                    onChange={(event) => {
+                      setPricing(event.currentTarget.value);
+                    }}
+                  >
+                    {PRICING_OPTIONS.map((option) => (
+                      <s-option key={option.value} value={option.value}>
+                        {option.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-stack direction="block" gap="small-200">
+                    {Array.isArray(tiers) && tiers.length > 0 ? (
+                      tiers.map((tier, index) =>
+                        renderTierFields({
+                          key: `tier-${index}`,
+                          tier,
+                          onFieldChange: (field, value) => updateTierField(index, field, value),
+                          onRemove:
+                            tiers.length > 1 || shippingTiers.length > 0
+                              ? () => handleRemoveTier(index)
+                              : null,
+                        }),
+                      )
+                    ) : (
+                      <s-text>No discount tiers found for this rule.</s-text>
+                    )}
+                  </s-stack>
+                  <s-button type="button" variant="primary" onClick={handleAddTier}>
+                    Add tier
+                  </s-button>
+                  {pricePreviewQuantities.length > 0 ? (
+                    <s-stack direction="block" gap="small-200">
+                      <s-heading>Price preview</s-heading>
+                      <s-text-field
+                        type="number"
+                        label="Unit price"
+                        value={previewPriceValue}
+                        details="Effective average unit price at each quantity for an item at this price."
+                        onInput={(event) => setPreviewPrice(event.currentTarget?.value ?? "")}
+                      />
+                      {previewUnitPrice > 0 ? (
+                        <s-table>
+                          <s-table-header-row>
+                            <s-table-header listSlot="primary">Quantity</s-table-header>
+                            <s-table-header format="currency">Average unit price</s-table-header>
+                            <s-table-header format="currency">Total</s-table-header>
+                          </s-table-header-row>
+                          <s-table-body>
+                            {pricePreviewQuantities.map((quantity) => {
+                              const averageUnitPrice = getAverageUnitPrice(
+                                tiers,
+                                pricing,
+                                quantity,
+                                previewUnitPrice,
+                              );
+                              return (
+                                <s-table-row key={`price-preview-${quantity}`}>
+                                  <s-table-cell>{quantity}</s-table-cell>
+                                  <s-table-cell>{averageUnitPrice.toFixed(2)}</s-table-cell>
+                                  <s-table-cell>{(averageUnitPrice * quantity).toFixed(2)}</s-table-cell>
+                                </s-table-row>
+                              );
+                            })}
+                          </s-table-body>
+                        </s-table>
+                      ) : null}
+                    </s-stack>
+                  ) : null}
+                </s-stack>
+              </s-section>
+            ) : null}
+
+            {kind !== "order" ? (
+              <s-section>
+                <s-stack direction="block" gap="base">
+                  <s-heading>Limits</s-heading>
+                  <s-text color="subdued">
+                    Optional. A capped discount is applied as a fixed amount off the line.
+                  </s-text>
+                  <s-stack direction="inline" gap="base">
+                    {CAP_FIELDS.map(({ field, name, label }) => (
+                      <div key={field} style={{ flex: 1 }}>
+                        <s-text-field
+                          type="number"
+                          label={label}
+                          name={name}
+                          value={caps[field]}
+                          onInput={(event) => {
+                            const value = event.currentTarget?.value ?? "";
+                            setCaps((current) => ({ ...current, [field]: value }));
+                          }}
+                        />
+                      </div>
+                    ))}
+                  </s-stack>
+                </s-stack>
+              </s-section>
+            ) : null}
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-heading>Shipping tiers</s-heading>
+                <s-text color="subdued">
+                  Discount shipping once the cart holds enough items from this rule&apos;s products,
+                  counted together. Use 100% for free shipping.
+                </s-text>
+                <s-stack direction="block" gap="small-200">
+                  {shippingTiers.length > 0 ? (
+                    shippingTiers.map((tier, index) =>
+                      renderShippingTierFields({
+                        key: `shipping-tier-${index}`,
+                        tier,
+                        onFieldChange: (field, value) => updateShippingTierField(index, field, value),
+                        onRemove: () => handleRemoveShippingTier(index),
+                      }),
+                    )
+                  ) : (
+                    <s-paragraph>This rule doesn&apos;t discount shipping.</s-paragraph>
+                  )}
+                </s-stack>
+                <s-button type="button" variant="primary" onClick={handleAddShippingTier}>
+                  Add shipping tier
+                </s-button>
+              </s-stack>
+            </s-section>
+
+            {kind === "product" ? (
+              <s-section>
+                <s-stack direction="block" gap="base">
+                  <s-heading>Market tiers</s-heading>
+                  <s-text color="subdued">
+                    Replace the tiers above for buyers in a market or country. A country&apos;s tiers
+                    take precedence over its market&apos;s tiers.
+                  </s-text>
+                  <s-stack direction="block" gap="base">
+                    {marketTiers.length > 0 ? (
+                      marketTiers.map((entry, index) => (
+                        <s-stack key={`market-tiers-${index}`} direction="block" gap="small-200">
+                          <s-stack direction="inline" alignItems="end" gap="small-200">
+                            <div style={{ flex: 1 }}>
+                              <s-select
+                                label="Applies to"
+                                value={entry.market ? `market:${entry.market}` : "country"}
+                                onChange={(event) => {
+                                  const value = event.currentTarget.value;
+                                  updateMarketTierSet(index, () =>
+                                    value.startsWith("market:")
+                                      ? { market: value.slice("market:".length), country: "" }
+                                      : { market: "" },
+                                  );
+                                }}
+                              >
+                                {(data.markets || []).map((market) => (
+                                  <s-option key={market.handle} value={`market:${market.handle}`}>
+                                    {market.name}
+                                  </s-option>
+                                ))}
+                                {entry.market &&
+                                !(data.markets || []).some((market) => market.handle === entry.market) ? (
+                                  <s-option value={`market:${entry.market}`}>{entry.market}</s-option>
+                                ) : null}
+                                <s-option value="country">A single country</s-option>
+                              </s-select>
+                            </div>
+                            {!entry.market ? (
+                              <div style={{ flex: 1 }}>
+                                <s-text-field
+                                  label="Country code"
+                                  placeholder="CA"
+                                  maxLength={2}
+                                  value={entry.country}
+                                  onInput={(event) => {
+                                    const country = (event.currentTarget?.value ?? "").toUpperCase();
+                                    setMarketTiers((current) =>
+                                      current.map((item, itemIndex) =>
+                                        itemIndex === index ? { ...item, country } : item,
+                                      ),
+                                    );
+                                  }}
+                                />
+                              </div>
+                            ) : null}
+                            <s-button
+                              type="button"
+                              variant="secondary"
+                              icon="delete"
+                              accessibilityLabel="Remove market tiers"
+                              onClick={() => handleRemoveMarketTierSet(index)}
+                            />
+                          </s-stack>
+                          {entry.tiers.map((tier, tierIndex) =>
+                            renderTierFields({
+                              key: `market-tiers-${index}-tier-${tierIndex}`,
+                              tier,
+                              onFieldChange: (field, value) =>
+                                updateMarketTierField(index, tierIndex, field, value),
+                              onRemove:
+                                entry.tiers.length > 1
+                                  ? () =>
+                                      updateMarketTierSet(index, (current) => ({
+                                        tiers: current.tiers.filter(
+                                          (_, currentTierIndex) => currentTierIndex !== tierIndex,
+                                        ),
+                                      }))
+                                  : null,
+                            }),
+                          )}
+                          <s-button
+                            type="button"
+                            variant="secondary"
+                            onClick={() =>
+                              updateMarketTierSet(index, (current) => ({
+                                tiers: [...current.tiers, createEmptyTier()],
+                              }))
+                            }
+                          >
+                            Add market tier
+                          </s-button>
+                        </s-stack>
+                      ))
+                    ) : (
+                      <s-paragraph>All markets use the tiers above.</s-paragraph>
+                    )}
+                  </s-stack>
+                  <s-button type="button" variant="primary" onClick={handleAddMarketTierSet}>
+                    Add market tiers
+                  </s-button>
+                </s-stack>
+              </s-section>
+            ) : null}
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-heading>Applies to products</s-heading>
+                {kind === "order" ? (
+                  <s-checkbox
+                    label="Count every product in the store"
+                    details="Items and spend from all products count towards the order tiers. Products below only get this rule's shipping tiers."
+                    checked={allProducts}
+                    onChange={(event) => {
+                      setAllProducts(event.currentTarget.checked);
+                    }}
+                  />
+                ) : null}
+                {unavailableProductCount > 0 ? (
+                  <s-banner
+                    tone="warning"
+                    heading={
+                      unavailableProductCount === 1
+                        ? "1 product in this rule is not for sale"
+                        : `${unavailableProductCount} products in this rule are not for sale`
+                    }
+                  >
+                    <s-paragraph>
+                      Archived, draft and deleted products never get these tiers. Deleted products
+                      are removed from rules automatically.
+                    </s-paragraph>
+                  </s-banner>
+                ) : null}
+                <s-stack direction="block" gap="small-200">
+                  {products.length > 0 ? (
+                    products.map((product) => (
+                      <s-stack
+                        key={product.id}
+                        direction="inline"
+                        alignItems="center"
+                        justifyContent="space-between"
+                        gap="small-400"
+                      >
+                        <s-stack direction="inline" alignItems="center" gap="base">
+                          <s-box inlineSize="32px" blockSize="32px">
+                            {product.image ? (
+                              <s-image
+                                src={product.image}
+                                alt={product.title || "Product image"}
+                                loading="lazy"
+                                aspect-ratio="1/1"
+                                objectFit="contain"
+                                borderColor="strong"
+                                borderStyle="solid"
+                                borderWidth="small"
+                                borderRadius="base"
+                              />
+                            ) : (
+                              <s-box
+                                inlineSize="32px"
+                                blockSize="32px"
+                                borderColor="strong"
+                                borderStyle="solid"
+                                borderWidth="small"
+                                borderRadius="base"
+                              />
+                            )}
+                          </s-box>
+                          <s-paragraph>{product.title || product.id}</s-paragraph>
+                          {PRODUCT_STATUS_BADGES[product.status] ? (
+                            <s-badge tone={PRODUCT_STATUS_BADGES[product.status].tone}>
+                              {PRODUCT_STATUS_BADGES[product.status].label}
+                            </s-badge>
+                          ) : null}
+                        </s-stack>
+                        {products.length > 1 || collections.length > 0 ? (
+                          <s-button
+                            type="button"
+                            variant="secondary"
+                            icon="delete"
+                            accessibilityLabel={`Remove ${product.title || "product"}`}
+                            onClick={() => handleRemoveProduct(product.id)}
+                          />
+                        ) : null}
+                      </s-stack>
+                    ))
+                  ) : (
+                    <s-paragraph>No products are attached to this rule.</s-paragraph>
+                  )}
+                </s-stack>
+                <s-button type="button" variant="primary" onClick={handleAddProducts}>
+                  Add product
+                </s-button>
+              </s-stack>
+            </s-section>
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-heading>Applies to collections</s-heading>
+                <s-text color="subdued">
+                  Products added to or removed from these collections are picked up automatically.
+                </s-text>
+                <s-stack direction="block" gap="small-200">
+                  {collections.length > 0 ? (
+                    collections.map((collection) => (
+                      <s-stack
+                        key={collection.id}
+                        direction="inline"
+                        alignItems="center"
+                        justifyContent="space-between"
+                        gap="small-400"
+                      >
+                        <s-paragraph>{collection.title || collection.id}</s-paragraph>
+                        {collections.length > 1 || products.length > 0 ? (
+                          <s-button
+                            type="button"
+                            variant="secondary"
+                            icon="delete"
+                            accessibilityLabel={`Remove ${collection.title || "collection"}`}
+                            onClick={() => handleRemoveCollection(collection.id)}
+                          />
+                        ) : null}
+                      </s-stack>
+                    ))
+                  ) : (
+                    <s-paragraph>No collections are attached to this rule.</s-paragraph>
+                  )}
+                </s-stack>
+                <s-button type="button" variant="primary" onClick={handleAddCollections}>
+                  Add collection
+                </s-button>
+              </s-stack>
+            </s-section>
+
+            <s-section>
+              <s-stack direction="block" gap="base">
+                <s-heading>Variants</s-heading>
+                <s-text color="subdued">
+                  Include single variants, exclude variants of the products above, or give a
+                  variant its own tiers.
+                </s-text>
+                <s-stack direction="block" gap="base">
+                  {variants.length > 0 ? (
+                    variants.map((variant) => (
+                      <s-stack key={variant.id} direction="block" gap="small-200">
+                        <s-stack
+                          direction="inline"
+                          alignItems="end"
+                          justifyContent="space-between"
+                          gap="small-400"
+                        >
+                          <s-paragraph>{variant.title || variant.id}</s-paragraph>
+                          <s-stack direction="inline" alignItems="end" gap="small-200">
+                            <s-select
+                              label="Targeting"
+                              value={variant.excluded ? "exclude" : "include"}
+                              onChange={(event) => {
+                                const excluded = event.currentTarget.value === "exclude";
+                                updateVariant(variant.id, () => ({
+                                  excluded,
+                                  ...(excluded ? { tiers: [] } : {}),
+                                }));
+                              }}
+                            >
+                              <s-option value="include">Include</s-option>
+                              <s-option value="exclude">Exclude</s-option>
+                            </s-select>
+                            <s-button
+                              type="button"
+                              variant="secondary"
+                              icon="delete"
+                              accessibilityLabel={`Remove ${variant.title || "variant"}`}
+                              onClick={() => handleRemoveVariant(variant.id)}
+                            />
+                          </s-stack>
+                        </s-stack>
+                        {!variant.excluded && kind === "product" ? (
+                          <s-checkbox
+                            label="Use custom tiers for this variant"
+                            checked={variant.tiers.length > 0}
+                            onChange={(event) => {
+                              const useCustomTiers = event.currentTarget.checked;
+                              updateVariant(variant.id, () => ({
+                                tiers: useCustomTiers
+                                  ? cloneTiers(tiers.length > 0 ? tiers : [createEmptyTier()])
+                                  : [],
+                              }));
+                            }}
+                          />
+                        ) : null}
+                        {!variant.excluded && kind === "product" && variant.tiers.length > 0 ? (
+                          <s-stack direction="block" gap="small-200">
+                            {variant.tiers.map((tier, index) =>
+                              renderTierFields({
+                                key: `${variant.id}-tier-${index}`,
+                                tier,
+                                onFieldChange: (field, value) =>
+                                  updateVariantTierField(variant.id, index, field, value),
+                                onRemove:
+                                  variant.tiers.length > 1
+                                    ? () =>
+                                        updateVariant(variant.id, (current) => ({
+                                          tiers: current.tiers.filter(
+                                            (_, tierIndex) => tierIndex !== index,
+                                          ),
+                                        }))
+                                    : null,
+                              }),
+                            )}
+                            <s-button
+                              type="button"
+                              variant="secondary"
+                              onClick={() =>
+                                updateVariant(variant.id, (current) => ({
+                                  tiers: [...current.tiers, createEmptyTier()],
+                                }))
+                              }
+                            >
+                              Add variant tier
+                            </s-button>
+                          </s-stack>
+                        ) : null}
+                      </s-stack>
+                    ))
+                  ) : (
+                    <s-paragraph>No variant settings for this rule.</s-paragraph>
+                  )}
+                </s-stack>
+                <s-button type="button" variant="primary" onClick={handleAddVariants}>
+                  Add variants
+                </s-button>
+              </s-stack>
+            </s-section>
+          </s-stack>
+        </form>
+      </s-stack>
+    </s-page>
+  );
+}
@@ -0,0 +1,200 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  RULE_CHANGE_CREATE,
+  RULE_CHANGE_DELETE,
+  RULE_CHANGE_PUBLISH,
+  RULE_CHANGE_REVERT,
+  RULE_FIELD_LABELS,
+  getStaffMember,
+  listRuleChanges,
+} from "../rule-changes.server";
+import {
+  RULE_WRITE_CONFLICT,
+  RULE_WRITE_NOT_FOUND,
+  findRule,
+  revertRuleChange,
+  syncPublishedRules,
+} from "../rules.server";
+
+const ACTION_LABELS = {
+  [RULE_CHANGE_CREATE]: "Created",
+  [RULE_CHANGE_DELETE]: "Deleted",
+  [RULE_CHANGE_PUBLISH]: "Published",
+  [RULE_CHANGE_REVERT]: "Reverted",
+};
+
+const MAX_VALUE_LENGTH = 240;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+const getStaffLabel = (change) => {
+  if (change.staffName) return change.staffName;
+  if (change.staffId) return `Staff member ${change.staffId}`;
+  return "Unknown staff member";
+};
+
+const getRevertLabel = (change) => {
+  if (change.before) return "Restore previous version";
+  return change.action === RULE_CHANGE_PUBLISH ? "Unpublish" : "Undo creation";
+};
+
+const toHistoryEntry = (change) => ({
+  id: change.id,
+  actionLabel: ACTION_LABELS[change.action] || "Updated",
+  staffLabel: getStaffLabel(change),
+  createdAt: change.createdAt,
+  revertLabel: getRevertLabel(change),
+  diff: change.diff.map((entry) => ({
+    field: entry.field,
+    label: RULE_FIELD_LABELS[entry.field] || entry.field,
+    before: formatValue(entry.before),
+    after: formatValue(entry.after),
+  })),
+});
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const ruleId = params.ruleId || "";
+  const record = await findRule(session.shop, ruleId);
+  const changes = await listRuleChanges(session.shop, ruleId);
+  const latest = changes[0];
+
+  return {
+    ruleId,
+    exists: Boolean(record),
+    revision: record?.revision ?? null,
+    title: record?.rule.title || latest?.before?.title || latest?.after?.title || "Rule",
+    changes: changes.map((change) => toHistoryEntry(change)),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("_action") !== "revert") {
+    return { ok: false, errors: ["Unknown action"] };
+  }
+
+  const changeId = Number.parseInt(String(formData.get("changeId") || ""), 10);
+  const revision = Number.parseInt(String(formData.get("revision") || ""), 10);
+  const { status } = await revertRuleChange({
+    shop: session.shop,
+    changeId: Number.isInteger(changeId) ? changeId : 0,
+    revision: Number.isInteger(revision) ? revision : undefined,
+    staff: getStaffMember({ session, sessionToken }),
+  });
+  if (status === RULE_WRITE_NOT_FOUND) {
+    return { ok: false, errors: ["That change could not be found."] };
+  }
+  if (status === RULE_WRITE_CONFLICT) {
+    return {
+      ok: false,
+      errors: ["Someone changed this rule after you opened its history. Review it and try again."],
+    };
+  }
+
+  const projectionErrors = await syncPublishedRules({ admin, shop: session.shop });
+  if (projectionErrors.length > 0) {
+    return { ok: false, errors: projectionErrors };
+  }
+
+  return { ok: true, revertedAt: Date.now() };
+};
+
+export default function RuleHistoryPage() {
+  const { ruleId, exists, revision, title, changes } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const isReverting = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    if (fetcher.data.ok) {
+      shopify.toast.show("Change reverted");
+      return;
+    }
+    if (Array.isArray(fetcher.data.errors) && fetcher.data.errors.length > 0) {
+      shopify.toast.show(fetcher.data.errors[0], { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleRevert = (changeId) => {
+    const formData = new FormData();
+    formData.set("_action", "revert");
+    formData.set("changeId", String(changeId));
+    formData.set("revision", String(revision ?? ""));
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Rule history" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        <s-stack direction="inline" alignItems="center" gap="small-100">
+          <s-button
+            variant="secondary"
+            icon="arrow-left"
+            href={exists ? `/app/${ruleId}` : "/app"}
+          />
+          <s-heading>{title}</s-heading>
+        </s-stack>
+
+        {changes.length === 0 ? (
+          <s-section>
+            <s-text color="subdued">No changes have been recorded for this rule yet.</s-text>
+          </s-section>
+        ) : null}
+
+        {changes.map((change) => (
+          <s-section key={change.id}>
+            <s-stack direction="block" gap="small-200">
+              <s-stack direction="inline" alignItems="center" justifyContent="space-between">
+                <s-stack direction="block" gap="small-100">
+                  <s-text type="strong">{change.actionLabel}</s-text>
+                  <s-text color="subdued">
+                    {change.staffLabel} · {new Date(change.createdAt).toLocaleString()}
+                  </s-text>
+                </s-stack>
+                <s-button
+                  type="button"
+                  variant="secondary"
+                  disabled={isReverting}
+                  onClick={() => handleRevert(change.id)}
+                >
+                  {change.revertLabel}
+                </s-button>
+              </s-stack>
+              {change.diff.length > 0 ? (
+                <s-table>
+                  <s-table-header-row>
+                    <s-table-header listSlot="primary">Field</s-table-header>
+                    <s-table-header>Before</s-table-header>
+                    <s-table-header>After</s-table-header>
+                  </s-table-header-row>
+                  <s-table-body>
+                    {change.diff.map((entry) => (
+                      <s-table-row key={entry.field}>
+                        <s-table-cell>{entry.label}</s-table-cell>
+                        <s-table-cell>{entry.before}</s-table-cell>
+                        <s-table-cell>{entry.after}</s-table-cell>
+                      </s-table-row>
+                    ))}
+                  </s-table-body>
+                </s-table>
+              ) : (
+                <s-text color="subdued">No fields changed.</s-text>
+              )}
+            </s-stack>
+          </s-section>
+        ))}
+      </s-stack>
+    </s-page>
+  );
+}
@@ -1,24 +1,35 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { useFetcher, useLoaderData } from "react-router";
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import {
-  QUANTITY_BREAKS_KEY,
-  QUANTITY_BREAKS_NAMESPACE,
+  CONFLICT_STRATEGIES,
+  CONFLICT_STRATEGY_STACK,
+  fetchCollectionProductIds,
   getRuleProductIds,
+  getRuleVariantIds,
+  normalizeCollectionIds,
   normalizeStoredTier,
   normalizeProductIds,
-  parseDiscountConfig,
-  recomputeProductDiscountProjectionMetafields,
+  readDiscountConfig,
+  readShopSettings,
+  writeShopSettings,
 } from "../quantity-breaks.server";
-
-const toKebabCase = (value) =>
-  value
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/-+/g, "-");
+import {
+  enqueueProjectionRebuild,
+  getProjectionJobStatus,
+  retryProjectionJob,
+} from "../projection-jobs.server";
+import { getStaffMember } from "../rule-changes.server";
+import {
+  RULE_PUBLISH_LIVE,
+  createRule,
+  ensureRulesImported,
+  listPublishedRules,
+  listRuleRecords,
+  publishRules,
+  syncPublishedRules,
+} from "../rules.server";
 
 const getProductImageUrl = (product) =>
   product?.images?.[0]?.originalSrc ||
@@ -42,39 +53,114 @@ const buildExcludeProductsQuery = (products) =>
 
 const getTierDisplayTitle = (tier) => tier?.title || tier?.label || "Untitled discount";
 
-export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-
-  const response = await admin.graphql(
-    `#graphql
-      query QuantityBreaksHomeData {
-        shop {
-          id
-          metafield(namespace: "quantity_breaks", key: "discounts") {
-            value
-          }
-        }
-      }
-    `,
-  );
+const CONFLICT_STRATEGY_OPTIONS = [
+  { value: "best_discount", label: "Best discount wins" },
+  { value: "priority", label: "Highest priority rule wins" },
+  { value: "stack", label: "Stack discounts up to a cap" },
+];
+
+const PROJECTION_JOB_POLL_INTERVAL_MS = 3000;
+
+const isProjectionJobActive = (job) => job?.status === "queued" || job?.status === "running";
 
-  const responseJson = await response.json();
-  const metafieldValue = responseJson.data?.shop?.metafield?.value;
-  const config = parseDiscountConfig(metafieldValue);
+const PUBLISH_STATE_BADGES = {
+  live: { tone: "success", label: "Live" },
+  draft: { tone: "neutral", label: "Draft" },
+  pending: { tone: "warning", label: "Unpublished changes" },
+};
+
+const updateSettings = async (admin, shop, formData) => {
+  const conflictStrategy = String(formData.get("conflictStrategy") || "").trim();
+  const stackCap = Number.parseFloat(String(formData.get("stackCap") || "100"));
+
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    return { ok: false, errors: ["Choose how to resolve conflicts between rules."] };
+  }
+  if (
+    conflictStrategy === CONFLICT_STRATEGY_STACK &&
+    (!Number.isFinite(stackCap) || stackCap <= 0 || stackCap > 100)
+  ) {
+    return { ok: false, errors: ["Stack cap must be a percentage between 0 and 100."] };
+  }
+
+  const { shopId } = await readDiscountConfig(admin);
+  const settings = { conflict_strategy: conflictStrategy, stack_cap: stackCap };
+  const settingsErrors = await writeShopSettings(admin, shopId, settings);
+  if (settingsErrors.length > 0) {
+    return { ok: false, errors: settingsErrors };
+  }
 
-  const rows = (config.discounts || []).map((discount) => ({
+  // The function reads the settings from the discount, so they are copied there right away.
+  const projectionErrors = await syncPublishedRules({ admin, shop, settings });
+  if (projectionErrors.length > 0) {
+    return { ok: false, errors: projectionErrors };
+  }
+
+  // The priority strategy changes which rules are projected onto each product.
+  const discounts = await listPublishedRules(shop);
+  await enqueueProjectionRebuild({
+    shop,
+    productIds: discounts.flatMap((discount) => getRuleProductIds(discount)),
+    variantIds: discounts.flatMap((discount) => getRuleVariantIds(discount)),
+  });
+
+  return { ok: true, actionType: "update-settings" };
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  await ensureRulesImported(admin, session.shop);
+  const records = await listRuleRecords(session.shop);
+
+  const rows = records.map(({ rule: discount, publishState }) => ({
+    id: discount.id,
     title: discount.title || "Untitled",
-    handle: toKebabCase(discount.title || "untitled"),
-    tierTitles: (discount.tiers || []).map((tier) => getTierDisplayTitle(tier)),
+    publishState,
+    tierTitles: [
+      ...(discount.tiers || []),
+      ...(discount.order_tiers || []),
+      ...(discount.shipping_tiers || []),
+      ...(discount.bxgy ? [discount.bxgy] : []),
+    ].map((tier) => getTierDisplayTitle(tier)),
   }));
 
-  return { rows };
+  return {
+    rows,
+    pendingCount: rows.filter((row) => row.publishState !== RULE_PUBLISH_LIVE).length,
+    settings: await readShopSettings(admin),
+    projectionJob: await getProjectionJobStatus(session.shop),
+  };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
 
+  if (formData.get("_action") === "update-settings") {
+    return updateSettings(admin, session.shop, formData);
+  }
+
+  if (formData.get("_action") === "retry-projection-job") {
+    const jobId = Number.parseInt(String(formData.get("jobId") || ""), 10);
+    const retried = await retryProjectionJob(session.shop, Number.isInteger(jobId) ? jobId : 0);
+    if (!retried) {
+      return { ok: false, errors: ["This update is no longer waiting to be retried."] };
+    }
+    return { ok: true, actionType: "retry-projection-job" };
+  }
+
+  if (formData.get("_action") === "publish-all") {
+    const publishErrors = await publishRules({
+      admin,
+      shop: session.shop,
+      staff: getStaffMember({ session, sessionToken }),
+    });
+    if (publishErrors.length > 0) {
+      return { ok: false, errors: publishErrors };
+    }
+    return { ok: true, actionType: "publish-all" };
+  }
+
   if (formData.get("_action") !== "add-discount") {
     return { ok: false, errors: ["Unknown action"] };
   }
@@ -92,9 +178,18 @@ export const action = async ({ request }) => {
     selectedProducts = [];
   }
 
+  let selectedCollections = [];
+  try {
+    selectedCollections = JSON.parse(String(formData.get("selectedCollections") || "[]"));
+    if (!Array.isArray(selectedCollections)) selectedCollections = [];
+  } catch {
+    selectedCollections = [];
+  }
+
   const productIds = selectedProducts
     .map((product) => product?.id);
   const normalizedProductIds = normalizeProductIds(productIds);
+  const normalizedCollectionIds = normalizeCollectionIds(selectedCollections);
 
   const errors = [];
   if (!title) errors.push("Title is required.");
@@ -105,29 +200,14 @@ export const action = async ({ request }) => {
   if (!Number.isInteger(percentOff) || percentOff < 1 || percentOff > 100) {
     errors.push("Percent off must be a whole number between 1 and 100.");
   }
-  if (normalizedProductIds.length === 0) errors.push("Select at least one product.");
+  if (normalizedProductIds.length === 0 && normalizedCollectionIds.length === 0) {
+    errors.push("Select at least one product or collection.");
+  }
 
   if (errors.length > 0) {
     return { ok: false, errors };
   }
 
-  const shopResponse = await admin.graphql(
-    `#graphql
-      query QuantityBreaksShopMeta {
-        shop {
-          id
-          metafield(namespace: "quantity_breaks", key: "discounts") {
-            value
-          }
-        }
-      }
-    `,
-  );
-
-  const shopJson = await shopResponse.json();
-  const shopId = shopJson.data?.shop?.id;
-  const currentConfig = parseDiscountConfig(shopJson.data?.shop?.metafield?.value);
-
   const newTier = normalizeStoredTier({
     min_quantity: minimumQuantity,
     percent_off: percentOff,
@@ -138,94 +218,43 @@ export const action = async ({ request }) => {
     return { ok: false, errors: ["Discount tier is invalid."] };
   }
 
-  const nextDiscounts = [...(currentConfig.discounts || [])];
-  const existingIndex = nextDiscounts.findIndex((discount) => discount?.title === title);
-  const previousRuleProductIds =
-    existingIndex >= 0 ? getRuleProductIds(nextDiscounts[existingIndex]) : [];
-  if (existingIndex >= 0) {
-    const currentTiers = Array.isArray(nextDiscounts[existingIndex].tiers)
-      ? nextDiscounts[existingIndex].tiers
-      : [];
-    nextDiscounts[existingIndex] = {
-      ...nextDiscounts[existingIndex],
-      title,
-      products: normalizedProductIds,
-      status: nextDiscounts[existingIndex]?.status || "active",
-      tiers: [...currentTiers.map((tier) => normalizeStoredTier(tier)).filter(Boolean), newTier],
-    };
-  } else {
-    nextDiscounts.push({
+  await ensureRulesImported(admin, session.shop);
+  await createRule(
+    session.shop,
+    {
       title,
       products: normalizedProductIds,
+      collections: normalizedCollectionIds,
+      collection_product_ids: await fetchCollectionProductIds(admin, normalizedCollectionIds),
       status: "active",
       tiers: [newTier],
-    });
-  }
-
-  const nextConfig = { discounts: nextDiscounts };
-
-  const metafieldSetResponse = await admin.graphql(
-    `#graphql
-      mutation SetShopQuantityBreaksMetafield($metafields: [MetafieldsSetInput!]!) {
-        metafieldsSet(metafields: $metafields) {
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `,
-    {
-      variables: {
-        metafields: [
-          {
-            ownerId: shopId,
-            namespace: QUANTITY_BREAKS_NAMESPACE,
-            key: QUANTITY_BREAKS_KEY,
-            type: "json",
-            value: JSON.stringify(nextConfig),
-          },
-        ],
-      },
     },
+    { staff: getStaffMember({ session, sessionToken }) },
   );
 
-  const metafieldSetJson = await metafieldSetResponse.json();
-  const metafieldErrors = metafieldSetJson.data?.metafieldsSet?.userErrors || [];
-
-  if (metafieldErrors.length > 0) {
-    return {
-      ok: false,
-      errors: metafieldErrors.map((error) => error.message),
-    };
-  }
-
-  const affectedProductIds = Array.from(
-    new Set([...previousRuleProductIds, ...normalizedProductIds]),
-  );
-  const projectionErrors = await recomputeProductDiscountProjectionMetafields({
-    admin,
-    discounts: nextDiscounts,
-    affectedProductIds,
-  });
-  if (projectionErrors.length > 0) {
-    return { ok: false, errors: projectionErrors };
-  }
-
   return { ok: true };
 };
 
 export default function QuantityBreaksIndexPage() {
-  const { rows } = useLoaderData();
+  const { rows, pendingCount, settings, projectionJob } = useLoaderData();
   const fetcher = useFetcher();
+  const settingsFetcher = useFetcher();
+  const publishFetcher = useFetcher();
+  const projectionJobFetcher = useFetcher();
+  const revalidator = useRevalidator();
   const shopify = useAppBridge();
+  const projectionJobActive = isProjectionJobActive(projectionJob);
   const addDiscountModalRef = useRef(null);
 
+  const [conflictStrategy, setConflictStrategy] = useState(settings.conflict_strategy);
+  const [stackCap, setStackCap] = useState(String(settings.stack_cap));
+
   const [title, setTitle] = useState("");
   const [discountTitle, setDiscountTitle] = useState("");
   const [minimumQuantity, setMinimumQuantity] = useState("");
   const [percentOff, setPercentOff] = useState("");
   const [selectedProducts, setSelectedProducts] = useState([]);
+  const [selectedCollections, setSelectedCollections] = useState([]);
 
   const selectedProductsJson = useMemo(
     () =>
@@ -239,16 +268,22 @@ export default function QuantityBreaksIndexPage() {
     [selectedProducts],
   );
 
+  const selectedCollectionsJson = useMemo(
+    () => JSON.stringify(selectedCollections.map((collection) => collection.id)),
+    [selectedCollections],
+  );
+
   useEffect(() => {
     if (!fetcher.data) return;
 
     if (fetcher.data.ok) {
-      shopify.toast.show("Discount added");
+      shopify.toast.show("Draft discount added. Publish it to make it live.");
       setTitle("");
       setDiscountTitle("");
       setMinimumQuantity("");
       setPercentOff("");
       setSelectedProducts([]);
+      setSelectedCollections([]);
       addDiscountModalRef.current?.hideOverlay?.();
       return;
     }
@@ -258,6 +293,47 @@ export default function QuantityBreaksIndexPage() {
     }
   }, [fetcher.data, shopify]);
 
+  useEffect(() => {
+    if (!settingsFetcher.data) return;
+
+    if (settingsFetcher.data.ok) {
+      shopify.toast.show("Settings saved");
+      return;
+    }
+
+    if (Array.isArray(settingsFetcher.data.errors) && settingsFetcher.data.errors.length > 0) {
+      shopify.toast.show(settingsFetcher.data.errors[0], { isError: true });
+    }
+  }, [settingsFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (!publishFetcher.data) return;
+
+    if (publishFetcher.data.ok) {
+      shopify.toast.show("Changes published");
+      return;
+    }
+
+    if (Array.isArray(publishFetcher.data.errors) && publishFetcher.data.errors.length > 0) {
+      shopify.toast.show(publishFetcher.data.errors[0], { isError: true });
+    }
+  }, [publishFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (!projectionJobActive) return undefined;
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, PROJECTION_JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [projectionJobActive, revalidator]);
+
+  useEffect(() => {
+    if (!projectionJobFetcher.data || projectionJobFetcher.data.ok) return;
+    if (projectionJobFetcher.data.errors?.length > 0) {
+      shopify.toast.show(projectionJobFetcher.data.errors[0], { isError: true });
+    }
+  }, [projectionJobFetcher.data, shopify]);
+
   const openProductPicker = async () => {
     const excludeQuery = buildExcludeProductsQuery(selectedProducts);
     const selection = await shopify.resourcePicker({
@@ -285,10 +361,67 @@ export default function QuantityBreaksIndexPage() {
     );
   };
 
+  const openCollectionPicker = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "collection",
+      action: "select",
+      multiple: true,
+      selectionIds: selectedCollections.map((collection) => ({ id: collection.id })),
+    });
+
+    if (!selection || !Array.isArray(selection)) return;
+
+    setSelectedCollections(
+      selection
+        .filter((collection) => collection?.id?.startsWith("gid://shopify/Collection/"))
+        .map((collection) => ({
+          id: collection.id,
+          title: collection.title,
+        })),
+    );
+  };
+
   return (
     <s-page heading="Home" inlineSize="small">
       <s-stack direction="block" gap="base">
-        <s-stack direction="inline" justifyContent="end">
+        {projectionJobActive ? (
+          <s-banner tone="info" heading="Updating product discounts">
+            <s-stack direction="block" gap="small-200">
+              <s-paragraph>
+                {projectionJob.processed} of {projectionJob.total} products and variants updated.
+                Checkout keeps using the previous discounts for the rest until this finishes.
+              </s-paragraph>
+              {projectionJob.status === "queued" && projectionJob.error ? (
+                <s-text color="subdued">Waiting to retry: {projectionJob.error}</s-text>
+              ) : null}
+            </s-stack>
+          </s-banner>
+        ) : null}
+
+        {projectionJob?.status === "failed" ? (
+          <s-banner tone="critical" heading="Some product discounts could not be updated">
+            <s-stack direction="block" gap="small-200">
+              <s-paragraph>{projectionJob.error}</s-paragraph>
+              <projectionJobFetcher.Form method="post">
+                <input type="hidden" name="_action" value="retry-projection-job" />
+                <input type="hidden" name="jobId" value={String(projectionJob.id)} />
+                <s-button type="submit" loading={projectionJobFetcher.state !== "idle"}>
+                  Retry
+                </s-button>
+              </projectionJobFetcher.Form>
+            </s-stack>
+          </s-banner>
+        ) : null}
+
+        <s-stack direction="inline" justifyContent="end" gap="small-100">
+          {pendingCount > 0 ? (
+            <publishFetcher.Form method="post">
+              <input type="hidden" name="_action" value="publish-all" />
+              <s-button type="submit" loading={publishFetcher.state !== "idle"}>
+                Publish all pending ({pendingCount})
+              </s-button>
+            </publishFetcher.Form>
+          ) : null}
           <s-button variant="primary" commandFor="add-discount-modal" command="--show">
             Add discount
           </s-button>
@@ -298,20 +431,26 @@ export default function QuantityBreaksIndexPage() {
           <s-table>
             <s-table-header-row>
               <s-table-header listSlot="primary">Title</s-table-header>
+              <s-table-header>Status</s-table-header>
               <s-table-header>Discounts</s-table-header>
             </s-table-header-row>
             <s-table-body>
               {rows.map((row) => (
-                <s-table-row key={row.handle} clickDelegate={`rule-link-${row.handle}`}>
+                <s-table-row key={row.id} clickDelegate={`rule-link-${row.id}`}>
                   <s-table-cell>
-                    <s-link id={`rule-link-${row.handle}`} href={`/app/${row.handle}`}>
+                    <s-link id={`rule-link-${row.id}`} href={`/app/${row.id}`}>
                       {row.title}
                     </s-link>
                   </s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={PUBLISH_STATE_BADGES[row.publishState].tone}>
+                      {PUBLISH_STATE_BADGES[row.publishState].label}
+                    </s-badge>
+                  </s-table-cell>
                   <s-table-cell>
                     <ul style={{ paddingLeft: 12 }}>
                       {row.tierTitles.map((tierTitle) => (
-                        <li key={`${row.handle}-${tierTitle}`}>{tierTitle}</li>
+                        <li key={`${row.id}-${tierTitle}`}>{tierTitle}</li>
                       ))}
                     </ul>
                   </s-table-cell>
@@ -321,10 +460,52 @@ export default function QuantityBreaksIndexPage() {
           </s-table>
         </s-section>
 
+        <s-section heading="When rules overlap">
+          <settingsFetcher.Form method="post">
+            <input type="hidden" name="_action" value="update-settings" />
+            <s-stack direction="block" gap="base">
+              <s-select
+                label="When a product is in several rules"
+                name="conflictStrategy"
+                value={conflictStrategy}
+                onChange={(event) => setConflictStrategy(event.currentTarget.value)}
+              >
+                {CONFLICT_STRATEGY_OPTIONS.map((option) => (
+                  <s-option key={option.value} value={option.value}>
+                    {option.label}
+                  </s-option>
+                ))}
+              </s-select>
+              {conflictStrategy === "stack" ? (
+                <s-number-field
+                  label="Maximum discount per line (%)"
+                  name="stackCap"
+                  value={stackCap}
+                  onInput={(event) => setStackCap(event.currentTarget.value)}
+                />
+              ) : null}
+              <s-text color="subdued">
+                Applies to product and buy X get Y discounts. Order and shipping discounts are
+                resolved by checkout.
+              </s-text>
+              <s-stack direction="inline" justifyContent="end">
+                <s-button
+                  type="submit"
+                  variant="secondary"
+                  loading={settingsFetcher.state === "submitting"}
+                >
+                  Save
+                </s-button>
+              </s-stack>
+            </s-stack>
+          </settingsFetcher.Form>
+        </s-section>
+
         <s-modal ref={addDiscountModalRef} id="add-discount-modal" heading="Add discount">
         <fetcher.Form id="add-discount-form" method="post">
           <input type="hidden" name="_action" value="add-discount" />
           <input type="hidden" name="selectedProducts" value={selectedProductsJson} />
+          <input type="hidden" name="selectedCollections" value={selectedCollectionsJson} />
 
           <s-stack gap="base">
             <s-text-field
@@ -367,6 +548,19 @@ export default function QuantityBreaksIndexPage() {
                 </ul>
               )}
             </s-stack>
+            <s-stack gap="small">
+              <s-heading>Applies to collections</s-heading>
+              <s-button variant="secondary" onClick={openCollectionPicker}>
+                Browse
+              </s-button>
+              {selectedCollections.length > 0 && (
+                <ul>
+                  {selectedCollections.map((collection) => (
+                    <li key={collection.id}>{collection.title}</li>
+                  ))}
+                </ul>
+              )}
+            </s-stack>
           </s-stack>
         </fetcher.Form>
 
@@ -0,0 +1,265 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useNavigate } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStaffMember } from "../rule-changes.server";
+import { exportRulesBackup, planRulesRestore, restoreRulesBackup } from "../rule-backup.server";
+import { ensureRulesImported } from "../rules.server";
+
+const RESTORE_MODE_OPTIONS = [
+  { value: "add", label: "Add to this shop's rules" },
+  { value: "replace", label: "Replace all of this shop's rules" },
+];
+
+const RULE_KIND_LABELS = {
+  product: "Product",
+  order: "Order",
+  bxgy: "Buy X get Y",
+};
+
+const readRevisions = (value) => {
+  try {
+    const revisions = JSON.parse(String(value || "{}"));
+    return revisions && typeof revisions === "object" && !Array.isArray(revisions) ? revisions : {};
+  } catch {
+    return {};
+  }
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  await ensureRulesImported(admin, session.shop);
+  return null;
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = String(formData.get("_action") || "");
+  const backup = String(formData.get("backup") || "");
+
+  if (actionType === "export") {
+    const shopName = session.shop.replace(/\.myshopify\.com$/, "");
+    return {
+      ok: true,
+      actionType,
+      backup: JSON.stringify(await exportRulesBackup({ admin, shop: session.shop }), null, 2),
+      filename: `quantity-breaks-${shopName}-${new Date().toISOString().slice(0, 10)}.json`,
+    };
+  }
+
+  if (actionType === "preview") {
+    const { errors, sourceShop, rules, revisions } = await planRulesRestore({
+      admin,
+      shop: session.shop,
+      backup,
+    });
+    return {
+      ok: errors.length === 0,
+      actionType,
+      errors,
+      sourceShop,
+      revisions,
+      rules: rules.map((entry) => ({
+        title: entry.title,
+        kindLabel: RULE_KIND_LABELS[entry.kind],
+        unresolved: entry.unresolved,
+      })),
+    };
+  }
+
+  if (actionType === "restore") {
+    const result = await restoreRulesBackup({
+      admin,
+      shop: session.shop,
+      backup,
+      replace: formData.get("mode") === "replace",
+      revisions: readRevisions(formData.get("revisions")),
+      staff: getStaffMember({ session, sessionToken }),
+    });
+    return { ...result, actionType };
+  }
+
+  return { ok: false, errors: ["Unknown action"] };
+};
+
+const downloadJson = (json, filename) => {
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function RulesBackupPage() {
+  const exportFetcher = useFetcher();
+  const restoreFetcher = useFetcher();
+  const navigate = useNavigate();
+  const shopify = useAppBridge();
+  const [backup, setBackup] = useState("");
+  const [mode, setMode] = useState("add");
+  const [preview, setPreview] = useState(null);
+  const restoringAction =
+    restoreFetcher.state !== "idle" ? restoreFetcher.formData?.get("_action") : null;
+  const unresolvedCount = (preview?.rules || []).reduce(
+    (count, rule) => count + rule.unresolved.length,
+    0,
+  );
+
+  useEffect(() => {
+    if (!exportFetcher.data) return;
+    if (exportFetcher.data.ok) {
+      downloadJson(exportFetcher.data.backup, exportFetcher.data.filename);
+      return;
+    }
+    if (Array.isArray(exportFetcher.data.errors) && exportFetcher.data.errors.length > 0) {
+      shopify.toast.show(exportFetcher.data.errors[0], { isError: true });
+    }
+  }, [exportFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (!restoreFetcher.data) return;
+
+    if (restoreFetcher.data.actionType === "preview") {
+      setPreview(restoreFetcher.data);
+      return;
+    }
+
+    if (restoreFetcher.data.ok) {
+      shopify.toast.show(`Restored ${restoreFetcher.data.restored} rules`);
+      navigate("/app");
+      return;
+    }
+
+    if (Array.isArray(restoreFetcher.data.errors) && restoreFetcher.data.errors.length > 0) {
+      shopify.toast.show(restoreFetcher.data.errors[0], { isError: true });
+    }
+  }, [navigate, restoreFetcher.data, shopify]);
+
+  const handleFileChange = async (event) => {
+    const [file] = event.currentTarget.files || [];
+    setPreview(null);
+    setBackup(file ? await file.text() : "");
+  };
+
+  const submitRestore = (actionType) => {
+    const formData = new FormData();
+    formData.set("_action", actionType);
+    formData.set("backup", backup);
+    formData.set("mode", mode);
+    if (actionType === "restore") formData.set("revisions", JSON.stringify(preview.revisions));
+    restoreFetcher.submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Backup and restore" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        <s-section heading="Backup">
+          <s-stack direction="block" gap="small-200">
+            <s-paragraph>
+              Download the published rules as a JSON file. Products and collections are saved by
+              handle and variants by SKU, so the file can be restored into another shop.
+            </s-paragraph>
+            <s-stack direction="inline">
+              <s-button
+                type="button"
+                loading={exportFetcher.state !== "idle"}
+                onClick={() => exportFetcher.submit({ _action: "export" }, { method: "post" })}
+              >
+                Download backup
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Restore">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Restored rules are published straight away. Products, collections and variants that
+              this shop does not have are left out of the rules that use them.
+            </s-paragraph>
+            <s-drop-zone
+              label="Backup file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+            />
+            <s-select
+              label="Restore mode"
+              value={mode}
+              onChange={(event) => setMode(event.currentTarget.value)}
+            >
+              {RESTORE_MODE_OPTIONS.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
+            <s-stack direction="inline" gap="small-100">
+              <s-button
+                type="button"
+                disabled={!backup || Boolean(restoringAction)}
+                loading={restoringAction === "preview"}
+                onClick={() => submitRestore("preview")}
+              >
+                Preview restore
+              </s-button>
+              <s-button
+                type="button"
+                variant="primary"
+                tone={mode === "replace" ? "critical" : undefined}
+                disabled={!preview?.ok || Boolean(restoringAction)}
+                loading={restoringAction === "restore"}
+                onClick={() => submitRestore("restore")}
+              >
+                Restore {preview?.rules?.length || ""} rules
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        {preview?.errors?.length > 0 ? (
+          <s-banner tone="critical" heading="This backup can't be restored">
+            <ul style={{ margin: 0, paddingLeft: 16 }}>
+              {preview.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </s-banner>
+        ) : null}
+
+        {preview?.ok && unresolvedCount > 0 ? (
+          <s-banner tone="warning" heading={`${unresolvedCount} items were not found in this shop`}>
+            <s-paragraph>
+              The rules below are restored without them. Add the missing items to this shop and
+              preview again to include them.
+            </s-paragraph>
+          </s-banner>
+        ) : null}
+
+        {preview?.rules?.length > 0 ? (
+          <s-section heading={preview.sourceShop ? `Rules from ${preview.sourceShop}` : "Rules"}>
+            <s-table>
+              <s-table-header-row>
+                <s-table-header listSlot="primary">Rule</s-table-header>
+                <s-table-header>Type</s-table-header>
+                <s-table-header>Not found</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {preview.rules.map((rule, index) => (
+                  <s-table-row key={`${rule.title}-${index}`}>
+                    <s-table-cell>{rule.title}</s-table-cell>
+                    <s-table-cell>{rule.kindLabel}</s-table-cell>
+                    <s-table-cell>
+                      {rule.unresolved.length > 0 ? rule.unresolved.join(", ") : "—"}
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          </s-section>
+        ) : null}
+      </s-stack>
+    </s-page>
+  );
+}
@@ -0,0 +1,256 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getProjectionJobStatus } from "../projection-jobs.server";
+import { checkProjectionHealth, repairProjectionIssues } from "../projection-health.server";
+import { ensureRulesImported } from "../rules.server";
+
+const ISSUE_BADGES = {
+  missing: { tone: "critical", label: "Tiers missing" },
+  mismatch: { tone: "warning", label: "Out of date" },
+  orphan: { tone: "warning", label: "Orphaned tiers" },
+};
+
+const RESOURCE_LABELS = {
+  product: "Product",
+  variant: "Variant",
+};
+
+const PROJECTION_JOB_POLL_INTERVAL_MS = 3000;
+
+const isProjectionJobActive = (job) => job?.status === "queued" || job?.status === "running";
+
+const toCheckForm = (resource, cursor) => ({ _action: "check", resource, cursor: cursor || "" });
+
+const readIds = (value) => {
+  try {
+    const ids = JSON.parse(String(value || "[]"));
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  await ensureRulesImported(admin, session.shop);
+  return { projectionJob: await getProjectionJobStatus(session.shop) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = String(formData.get("_action") || "");
+
+  if (actionType === "check") {
+    return {
+      ok: true,
+      actionType,
+      page: await checkProjectionHealth({
+        admin,
+        shop: session.shop,
+        resource: formData.get("resource") === "variant" ? "variant" : "product",
+        cursor: String(formData.get("cursor") || "") || null,
+      }),
+    };
+  }
+
+  if (actionType === "repair") {
+    const result = await repairProjectionIssues({
+      admin,
+      shop: session.shop,
+      productIds: readIds(formData.get("productIds")),
+      variantIds: readIds(formData.get("variantIds")),
+      syncConfig: formData.get("syncConfig") === "true",
+    });
+    return { ...result, actionType };
+  }
+
+  return { ok: false, errors: ["Unknown action"] };
+};
+
+// Check pages don't change anything the loader reads.
+export const shouldRevalidate = ({ formData, defaultShouldRevalidate }) =>
+  formData?.get("_action") === "check" ? false : defaultShouldRevalidate;
+
+export default function ProjectionHealthPage() {
+  const { projectionJob } = useLoaderData();
+  const checkFetcher = useFetcher();
+  const repairFetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+  const [report, setReport] = useState(null);
+  const projectionJobActive = isProjectionJobActive(projectionJob);
+  const checking = checkFetcher.state !== "idle" || Boolean(report && !report.finished);
+  const finishedReport = report?.finished ? report : null;
+  const { submit: submitCheck } = checkFetcher;
+  const issueCount =
+    (finishedReport?.issues.length || 0) + (finishedReport && !finishedReport.configInSync ? 1 : 0);
+
+  // Each response is one page; the next one is requested until products and then variants have
+  // been walked to the end.
+  useEffect(() => {
+    if (!checkFetcher.data) return;
+    if (!checkFetcher.data.ok) {
+      setReport(null);
+      if (Array.isArray(checkFetcher.data.errors) && checkFetcher.data.errors.length > 0) {
+        shopify.toast.show(checkFetcher.data.errors[0], { isError: true });
+      }
+      return;
+    }
+
+    const { page } = checkFetcher.data;
+    const isVariantPage = page.resource === "variant";
+    setReport((current) => ({
+      productCount: (current?.productCount || 0) + (isVariantPage ? 0 : page.checked),
+      variantCount: (current?.variantCount || 0) + (isVariantPage ? page.checked : 0),
+      configInSync: page.configInSync,
+      issues: [...(current?.issues || []), ...page.issues],
+      finished: isVariantPage && !page.cursor,
+    }));
+    if (page.cursor) submitCheck(toCheckForm(page.resource, page.cursor), { method: "post" });
+    else if (!isVariantPage) submitCheck(toCheckForm("variant", null), { method: "post" });
+  }, [checkFetcher.data, submitCheck, shopify]);
+
+  const handleCheck = () => {
+    setReport({ productCount: 0, variantCount: 0, configInSync: true, issues: [], finished: false });
+    submitCheck(toCheckForm("product", null), { method: "post" });
+  };
+
+  useEffect(() => {
+    if (!repairFetcher.data) return;
+    if (repairFetcher.data.ok) {
+      shopify.toast.show("Repair started");
+      setReport(null);
+      return;
+    }
+    if (Array.isArray(repairFetcher.data.errors) && repairFetcher.data.errors.length > 0) {
+      shopify.toast.show(repairFetcher.data.errors[0], { isError: true });
+    }
+  }, [repairFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (!projectionJobActive) return undefined;
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, PROJECTION_JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [projectionJobActive, revalidator]);
+
+  const handleRepair = () => {
+    const idsOf = (resource) =>
+      finishedReport.issues
+        .filter((issue) => issue.resource === resource)
+        .map((issue) => issue.id);
+    const formData = new FormData();
+    formData.set("_action", "repair");
+    formData.set("productIds", JSON.stringify(idsOf("product")));
+    formData.set("variantIds", JSON.stringify(idsOf("variant")));
+    formData.set("syncConfig", String(!finishedReport.configInSync));
+    repairFetcher.submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Health" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        {projectionJobActive ? (
+          <s-banner tone="info" heading="Updating product discounts">
+            <s-paragraph>
+              {projectionJob.processed} of {projectionJob.total} products and variants updated.
+              Run the check again once this finishes.
+            </s-paragraph>
+          </s-banner>
+        ) : null}
+
+        {projectionJob?.status === "failed" ? (
+          <s-banner tone="critical" heading="The last update did not finish">
+            <s-paragraph>{projectionJob.error}</s-paragraph>
+          </s-banner>
+        ) : null}
+
+        <s-section heading="Product discounts">
+          <s-stack direction="block" gap="small-200">
+            <s-paragraph>
+              Checkout reads the tiers stored on each product and variant. Check them against the
+              published rules to find products whose tiers are missing or out of date, and products
+              that still have tiers from rules that no longer apply to them.
+            </s-paragraph>
+            <s-paragraph>
+              <s-text color="subdued">
+                {checking && report
+                  ? `Checked ${report.productCount} products and ${report.variantCount} variants so far. Keep this page open until the check finishes.`
+                  : "Every product and variant in the shop is checked, which can take a few minutes in large catalogs."}
+              </s-text>
+            </s-paragraph>
+            <s-stack direction="inline" gap="small-100">
+              <s-button
+                type="button"
+                loading={checking}
+                disabled={repairFetcher.state !== "idle"}
+                onClick={handleCheck}
+              >
+                Run check
+              </s-button>
+              {issueCount > 0 ? (
+                <s-button
+                  type="button"
+                  variant="primary"
+                  loading={repairFetcher.state !== "idle"}
+                  disabled={checking || projectionJobActive}
+                  onClick={handleRepair}
+                >
+                  Repair {issueCount} {issueCount === 1 ? "problem" : "problems"}
+                </s-button>
+              ) : null}
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        {finishedReport && issueCount === 0 ? (
+          <s-banner tone="success" heading="Everything matches the published rules">
+            <s-paragraph>
+              Checked {finishedReport.productCount} products and {finishedReport.variantCount}{" "}
+              variants.
+            </s-paragraph>
+          </s-banner>
+        ) : null}
+
+        {finishedReport && !finishedReport.configInSync ? (
+          <s-banner tone="warning" heading="The discount settings checkout reads are out of date">
+            <s-paragraph>
+              The shop copy of the rules differs from the published rules. Repairing rewrites it.
+            </s-paragraph>
+          </s-banner>
+        ) : null}
+
+        {finishedReport?.issues.length > 0 ? (
+          <s-section
+            heading={`${finishedReport.issues.length} of ${finishedReport.productCount + finishedReport.variantCount} products and variants need repair`}
+          >
+            <s-table>
+              <s-table-header-row>
+                <s-table-header listSlot="primary">Item</s-table-header>
+                <s-table-header>Type</s-table-header>
+                <s-table-header>Problem</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {finishedReport.issues.map((issue) => (
+                  <s-table-row key={issue.id}>
+                    <s-table-cell>{issue.title || issue.id}</s-table-cell>
+                    <s-table-cell>{RESOURCE_LABELS[issue.resource]}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={ISSUE_BADGES[issue.issue].tone}>
+                        {ISSUE_BADGES[issue.issue].label}
+                      </s-badge>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          </s-section>
+        ) : null}
+      </s-stack>
+    </s-page>
+  );
+}
@@ -17,6 +17,10 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/rules-csv">Import and export</s-link>
+        <s-link href="/app/backup">Backup and restore</s-link>
+        <s-link href="/app/health">Health</s-link>
+        <s-link href="/app/simulator">Cart simulator</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,244 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useNavigate } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStaffMember } from "../rule-changes.server";
+import { applyRulesCsvImport, exportRulesCsv, planRulesCsvImport } from "../rule-csv.server";
+import { ensureRulesImported } from "../rules.server";
+
+const CHANGE_BADGES = {
+  create: { tone: "success", label: "New rule" },
+  update: { tone: "warning", label: "Update" },
+  none: { tone: "neutral", label: "No changes" },
+};
+
+const CSV_COLUMNS_HELP =
+  "One row per tier. Rows that share a rule_id update that rule; leave rule_id empty to create a rule, grouping its tiers by title. Separate product handles or SKUs with semicolons.";
+
+const readRevisions = (value) => {
+  try {
+    const revisions = JSON.parse(String(value || "{}"));
+    return revisions && typeof revisions === "object" && !Array.isArray(revisions) ? revisions : {};
+  } catch {
+    return {};
+  }
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  await ensureRulesImported(admin, session.shop);
+  return null;
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = String(formData.get("_action") || "");
+  const csv = String(formData.get("csv") || "");
+
+  if (actionType === "export") {
+    const { csv: exportedCsv, skipped } = await exportRulesCsv({ admin, shop: session.shop });
+    return {
+      ok: true,
+      actionType,
+      csv: exportedCsv,
+      skipped,
+      filename: `quantity-breaks-rules-${new Date().toISOString().slice(0, 10)}.csv`,
+    };
+  }
+
+  if (actionType === "preview") {
+    const { errors, changes, revisions } = await planRulesCsvImport({
+      admin,
+      shop: session.shop,
+      csv,
+    });
+    return { ok: errors.length === 0, actionType, errors, changes, revisions };
+  }
+
+  if (actionType === "apply") {
+    const result = await applyRulesCsvImport({
+      admin,
+      shop: session.shop,
+      csv,
+      revisions: readRevisions(formData.get("revisions")),
+      staff: getStaffMember({ session, sessionToken }),
+    });
+    return { ...result, actionType };
+  }
+
+  return { ok: false, errors: ["Unknown action"] };
+};
+
+const downloadCsv = (csv, filename) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function RulesCsvPage() {
+  const exportFetcher = useFetcher();
+  const importFetcher = useFetcher();
+  const navigate = useNavigate();
+  const shopify = useAppBridge();
+  const [csv, setCsv] = useState("");
+  const [preview, setPreview] = useState(null);
+  const isImporting = importFetcher.state !== "idle";
+  const importingAction = isImporting ? importFetcher.formData?.get("_action") : null;
+
+  useEffect(() => {
+    if (!exportFetcher.data) return;
+    if (exportFetcher.data.ok) {
+      downloadCsv(exportFetcher.data.csv, exportFetcher.data.filename);
+      return;
+    }
+    if (Array.isArray(exportFetcher.data.errors) && exportFetcher.data.errors.length > 0) {
+      shopify.toast.show(exportFetcher.data.errors[0], { isError: true });
+    }
+  }, [exportFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (!importFetcher.data) return;
+
+    if (importFetcher.data.actionType === "preview") {
+      setPreview(importFetcher.data);
+      return;
+    }
+
+    if (importFetcher.data.ok) {
+      const { created, updated } = importFetcher.data;
+      shopify.toast.show(`Imported ${created} new and ${updated} updated rules as drafts`);
+      navigate("/app");
+      return;
+    }
+
+    if (Array.isArray(importFetcher.data.errors) && importFetcher.data.errors.length > 0) {
+      shopify.toast.show(importFetcher.data.errors[0], { isError: true });
+    }
+  }, [importFetcher.data, navigate, shopify]);
+
+  const handleFileChange = async (event) => {
+    const [file] = event.currentTarget.files || [];
+    setPreview(null);
+    setCsv(file ? await file.text() : "");
+  };
+
+  const submitImport = (actionType) => {
+    const formData = new FormData();
+    formData.set("_action", actionType);
+    formData.set("csv", csv);
+    if (actionType === "apply") formData.set("revisions", JSON.stringify(preview.revisions));
+    importFetcher.submit(formData, { method: "post" });
+  };
+
+  const pendingChanges = (preview?.changes || []).filter((change) => change.action !== "none");
+
+  return (
+    <s-page heading="Import and export rules" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        <s-section heading="Export">
+          <s-stack direction="block" gap="small-200">
+            <s-paragraph>
+              Download every product rule with its products and tiers. Order and buy X get Y
+              rules are not included, and neither are rules that target collections or variants.
+            </s-paragraph>
+            <s-stack direction="inline">
+              <s-button
+                type="button"
+                loading={exportFetcher.state !== "idle"}
+                onClick={() => exportFetcher.submit({ _action: "export" }, { method: "post" })}
+              >
+                Export CSV
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        {exportFetcher.data?.skipped?.length > 0 ? (
+          <s-banner tone="warning" heading="Some rules were left out of the export">
+            <ul style={{ margin: 0, paddingLeft: 16 }}>
+              {exportFetcher.data.skipped.map((rule) => (
+                <li key={rule.ruleId}>
+                  {rule.title}: {rule.reason}
+                </li>
+              ))}
+            </ul>
+          </s-banner>
+        ) : null}
+
+        <s-section heading="Import">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>{CSV_COLUMNS_HELP}</s-paragraph>
+            <s-drop-zone label="CSV file" accept=".csv,text/csv" onChange={handleFileChange} />
+            <s-stack direction="inline" gap="small-100">
+              <s-button
+                type="button"
+                disabled={!csv || isImporting}
+                loading={importingAction === "preview"}
+                onClick={() => submitImport("preview")}
+              >
+                Preview changes
+              </s-button>
+              <s-button
+                type="button"
+                variant="primary"
+                disabled={!preview?.ok || pendingChanges.length === 0 || isImporting}
+                loading={importingAction === "apply"}
+                onClick={() => submitImport("apply")}
+              >
+                Apply {pendingChanges.length > 0 ? `${pendingChanges.length} changes` : "changes"}
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        {preview?.errors?.length > 0 ? (
+          <s-banner tone="critical" heading="Fix these rows and preview again">
+            <ul style={{ margin: 0, paddingLeft: 16 }}>
+              {preview.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </s-banner>
+        ) : null}
+
+        {preview?.changes?.length > 0 ? (
+          <s-section heading="Preview">
+            <s-table>
+              <s-table-header-row>
+                <s-table-header listSlot="primary">Rule</s-table-header>
+                <s-table-header>Change</s-table-header>
+                <s-table-header>Details</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {preview.changes.map((change, index) => (
+                  <s-table-row key={change.ruleId || `new-${index}`}>
+                    <s-table-cell>{change.title}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={CHANGE_BADGES[change.action].tone}>
+                        {CHANGE_BADGES[change.action].label}
+                      </s-badge>
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-stack direction="block" gap="small-100">
+                        {change.fields.map((field) => (
+                          <s-text key={field.field}>
+                            {field.label}: {field.before ? `${field.before} → ` : ""}
+                            {field.after || "—"}
+                          </s-text>
+                        ))}
+                      </s-stack>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          </s-section>
+        ) : null}
+      </s-stack>
+    </s-page>
+  );
+}
@@ -0,0 +1,278 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { readSimulatorShop, simulateCart } from "../cart-simulator.server";
+import { fetchMarkets } from "../quantity-breaks.server";
+
+const readLines = (value) => {
+  try {
+    const lines = JSON.parse(String(value || "[]"));
+    return Array.isArray(lines) ? lines : [];
+  } catch {
+    return [];
+  }
+};
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { currencyCode, today } = await readSimulatorShop(admin);
+  return { currencyCode, today, markets: await fetchMarkets(admin) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  return simulateCart({
+    admin,
+    shop: session.shop,
+    source: formData.get("source"),
+    lines: readLines(formData.get("lines")),
+    email: formData.get("email"),
+    b2b: formData.get("b2b") === "true",
+    market: formData.get("market"),
+    country: formData.get("country"),
+    date: formData.get("date"),
+  });
+};
+
+export default function CartSimulatorPage() {
+  const { currencyCode, today, markets } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [lines, setLines] = useState([]);
+  const [source, setSource] = useState("live");
+  const [email, setEmail] = useState("");
+  const [b2b, setB2b] = useState(false);
+  const [market, setMarket] = useState("");
+  const [country, setCountry] = useState("");
+  const [date, setDate] = useState(today);
+  const result = fetcher.data?.ok ? fetcher.data : null;
+
+  const formatMoney = (amount) =>
+    new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currencyCode || "USD",
+    }).format(amount);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.data.ok) return;
+    if (Array.isArray(fetcher.data.errors) && fetcher.data.errors.length > 0) {
+      shopify.toast.show(fetcher.data.errors[0], { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleAddVariants = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "add",
+      multiple: true,
+      filter: {
+        variants: true,
+      },
+    });
+
+    if (!selection || !Array.isArray(selection)) return;
+
+    const selectedLines = selection.flatMap((product) =>
+      (Array.isArray(product?.variants) ? product.variants : [])
+        .filter((variant) => variant?.id)
+        .map((variant) => ({
+          variantId: variant.id,
+          title: variant.displayName || `${product?.title || ""} - ${variant.title || ""}`,
+          quantity: "1",
+        })),
+    );
+
+    setLines((current) => {
+      const currentIds = new Set(current.map((line) => line.variantId));
+      return [...current, ...selectedLines.filter((line) => !currentIds.has(line.variantId))];
+    });
+  };
+
+  const updateQuantity = (variantId, quantity) =>
+    setLines((current) =>
+      current.map((line) => (line.variantId === variantId ? { ...line, quantity } : line)),
+    );
+
+  const handleSimulate = () => {
+    const formData = new FormData();
+    formData.set(
+      "lines",
+      JSON.stringify(lines.map(({ variantId, quantity }) => ({ variantId, quantity }))),
+    );
+    formData.set("source", source);
+    formData.set("email", email);
+    formData.set("b2b", String(b2b));
+    formData.set("market", market);
+    formData.set("country", country);
+    formData.set("date", date);
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Cart simulator" inlineSize="small">
+      <s-stack direction="block" gap="base">
+        <s-section heading="Cart">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Runs the same tier selection as the checkout discount function. Published rules use
+              the discounts currently stored on your products, so results match checkout. Saved
+              rules show what checkout would apply once every rule is published.
+            </s-paragraph>
+            <s-select
+              label="Rules"
+              value={source}
+              onChange={(event) => setSource(event.currentTarget.value)}
+            >
+              <s-option value="live">Published rules</s-option>
+              <s-option value="draft">Saved rules, including unpublished changes</s-option>
+            </s-select>
+            {lines.length > 0 ? (
+              lines.map((line) => (
+                <s-stack
+                  key={line.variantId}
+                  direction="inline"
+                  alignItems="end"
+                  justifyContent="space-between"
+                  gap="small-400"
+                >
+                  <s-number-field
+                    label={line.title || line.variantId}
+                    min={1}
+                    value={line.quantity}
+                    onInput={(event) => updateQuantity(line.variantId, event.currentTarget.value)}
+                  />
+                  <s-button
+                    type="button"
+                    variant="secondary"
+                    icon="delete"
+                    accessibilityLabel={`Remove ${line.title || "variant"}`}
+                    onClick={() =>
+                      setLines((current) =>
+                        current.filter((entry) => entry.variantId !== line.variantId),
+                      )
+                    }
+                  />
+                </s-stack>
+              ))
+            ) : (
+              <s-paragraph>The cart is empty.</s-paragraph>
+            )}
+            <s-stack direction="inline">
+              <s-button type="button" onClick={handleAddVariants}>
+                Add variants
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Buyer">
+          <s-stack direction="block" gap="base">
+            <s-text-field
+              label="Customer email"
+              details="Leave empty to check out as a guest. Customer tag rules use this customer's tags."
+              value={email}
+              onInput={(event) => setEmail(event.currentTarget.value)}
+            />
+            <s-checkbox
+              label="Buying for a company (B2B)"
+              checked={b2b}
+              onChange={(event) => setB2b(event.currentTarget.checked)}
+            />
+            <s-select
+              label="Market"
+              value={market}
+              onChange={(event) => setMarket(event.currentTarget.value)}
+            >
+              <s-option value="">No market</s-option>
+              {markets.map((option) => (
+                <s-option key={option.handle} value={option.handle}>
+                  {option.name}
+                </s-option>
+              ))}
+            </s-select>
+            <s-text-field
+              label="Country code"
+              details="Two letters, like US or DE. Country tiers win over market tiers."
+              value={country}
+              onInput={(event) => setCountry(event.currentTarget.value)}
+            />
+            <s-date-field
+              label="Date"
+              value={date}
+              onChange={(event) => setDate(event.currentTarget?.value ?? "")}
+            />
+            <s-stack direction="inline">
+              <s-button
+                type="button"
+                variant="primary"
+                disabled={lines.length === 0}
+                loading={fetcher.state !== "idle"}
+                onClick={handleSimulate}
+              >
+                Simulate
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        {result && !result.discountActive ? (
+          <s-banner tone="warning" heading="The Quantity Breaks discount is not active">
+            <s-paragraph>
+              These are the discounts checkout would apply once the discount is active.
+            </s-paragraph>
+          </s-banner>
+        ) : null}
+
+        {result ? (
+          <s-section heading={result.customer ? `Cart for ${result.customer.name}` : "Cart"}>
+            <s-stack direction="block" gap="base">
+              <s-table>
+                <s-table-header-row>
+                  <s-table-header listSlot="primary">Item</s-table-header>
+                  <s-table-header>Quantity</s-table-header>
+                  <s-table-header>Tier</s-table-header>
+                  <s-table-header>Discount</s-table-header>
+                  <s-table-header>Total</s-table-header>
+                </s-table-header-row>
+                <s-table-body>
+                  {result.lines.map((line) => (
+                    <s-table-row key={line.cartLineId}>
+                      <s-table-cell>
+                        <s-stack direction="block">
+                          <s-text>{line.title}</s-text>
+                          <s-text color="subdued">{formatMoney(line.unitPrice)} each</s-text>
+                        </s-stack>
+                      </s-table-cell>
+                      <s-table-cell>{line.quantity}</s-table-cell>
+                      <s-table-cell>{line.message || "—"}</s-table-cell>
+                      <s-table-cell>
+                        {line.discount > 0 ? `−${formatMoney(line.discount)}` : "—"}
+                      </s-table-cell>
+                      <s-table-cell>{formatMoney(line.total)}</s-table-cell>
+                    </s-table-row>
+                  ))}
+                </s-table-body>
+              </s-table>
+              <s-stack direction="block" gap="small-100">
+                <s-text>Subtotal before discounts: {formatMoney(result.subtotal)}</s-text>
+                {result.orderDiscount ? (
+                  <s-text>
+                    Order discount ({result.orderDiscount.message}): −
+                    {formatMoney(result.orderDiscount.amount)}
+                  </s-text>
+                ) : null}
+                <s-text type="strong">Total: {formatMoney(result.total)}</s-text>
+                <s-text color="subdued">
+                  Prices are in the shop currency and exclude shipping and taxes.
+                </s-text>
+              </s-stack>
+            </s-stack>
+          </s-section>
+        ) : null}
+      </s-stack>
+    </s-page>
+  );
+}
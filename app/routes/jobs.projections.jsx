@@ -0,0 +1,21 @@
+import { unauthenticated } from "../shopify.server";
+import { runProjectionJobs } from "../projection-jobs.server";
+
+// Leaves headroom under a 60 second function limit; a job still running then yields and the
+// next call picks it up where it stopped.
+const TIME_LIMIT_MS = 45_000;
+
+// Vercel Cron calls this every minute with `Authorization: Bearer $CRON_SECRET`.
+export const loader = async ({ request }) => {
+  // eslint-disable-next-line no-undef
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const jobs = await runProjectionJobs({
+    getAdmin: (shop) => unauthenticated.admin(shop),
+    timeLimitMs: TIME_LIMIT_MS,
+  });
+  return Response.json({ jobs });
+};
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { PROJECTION_JOB_QUEUED, PROJECTION_JOB_RUNNING } from "../projection-jobs.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,10 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Queued rebuilds can't run without the shop's session.
+  await db.projectionJob.deleteMany({
+    where: { shop, status: { in: [PROJECTION_JOB_QUEUED, PROJECTION_JOB_RUNNING] } },
+  });
+
   return new Response();
 };
@@ -0,0 +1,22 @@
+import { authenticate } from "../shopify.server";
+import { syncCollectionRuleProducts } from "../rules.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The offline session may already be gone if the app was uninstalled.
+  if (!admin) return new Response();
+
+  const errors = await syncCollectionRuleProducts({
+    admin,
+    shop,
+    collectionId: payload?.admin_graphql_api_id,
+  });
+  if (errors.length > 0) {
+    console.error("Failed to sync quantity breaks for updated collection", errors);
+  }
+
+  return new Response();
+};
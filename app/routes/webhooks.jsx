@@ -1,28 +1,35 @@
 import { authenticate } from "../shopify.server"
+import db from "../db.server"
 
 export const action = async ({ request }) => {
+  let webhook
   try {
-    const { shop, topic } = await authenticate.webhook(request)
-
-    console.log(`Verified ${topic} webhook from ${shop}`)
-
-    switch (topic) {
-      case "customers/data_request":
-        console.log("Handling customer data request")
-        break
-      case "customers/redact":
-        console.log("Handling customer redact request")
-        break
-      case "shop/redact":
-        console.log("Handling shop redact request")
-        break
-      default:
-        console.log("Unhandled compliance webhook topic:", topic)
-    }
-
-    return new Response("OK", { status: 200 })
+    webhook = await authenticate.webhook(request)
   } catch (error) {
     console.error("Webhook verification failed:", error)
     return new Response("Unauthorized", { status: 401 })
   }
+  const { shop, topic } = webhook
+
+  console.log(`Verified ${topic} webhook from ${shop}`)
+
+  // Errors past verification surface as 500s so Shopify retries the webhook.
+  switch (topic) {
+    case "customers/data_request":
+      console.log("Handling customer data request")
+      break
+    case "customers/redact":
+      console.log("Handling customer redact request")
+      break
+    case "shop/redact":
+      console.log("Handling shop redact request")
+      await db.rule.deleteMany({ where: { shop } })
+      await db.ruleChange.deleteMany({ where: { shop } })
+      await db.projectionJob.deleteMany({ where: { shop } })
+      break
+    default:
+      console.log("Unhandled compliance webhook topic:", topic)
+  }
+
+  return new Response("OK", { status: 200 })
 }
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { pruneDeletedProduct } from "../rules.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The offline session may already be gone if the app was uninstalled.
+  if (!admin) return new Response();
+
+  // The delete payload only carries the numeric ID.
+  const errors = await pruneDeletedProduct({
+    admin,
+    shop,
+    productId: payload?.id ? `gid://shopify/Product/${payload.id}` : "",
+  });
+  if (errors.length > 0) {
+    console.error("Failed to sync quantity breaks for deleted product", errors);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,22 @@
+import { authenticate } from "../shopify.server";
+import { pruneDeletedProductVariants, syncProductCollectionMembership } from "../rules.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The offline session may already be gone if the app was uninstalled.
+  if (!admin) return new Response();
+
+  const productId = payload?.admin_graphql_api_id;
+  const errors = [
+    ...(await pruneDeletedProductVariants({ admin, shop, productId })),
+    ...(await syncProductCollectionMembership({ admin, shop, productId })),
+  ];
+  if (errors.length > 0) {
+    console.error("Failed to sync quantity breaks for updated product", errors);
+  }
+
+  return new Response();
+};
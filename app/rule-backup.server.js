@@ -0,0 +1,241 @@
+import {
+  fetchCollectionHandles,
+  fetchCollectionProductIds,
+  fetchProductHandles,
+  fetchVariantReferences,
+  getRuleCollectionIds,
+  getRuleSelectedProductIds,
+  getRuleVariantEntries,
+  getVariantReferenceKey,
+  normalizeRuleKind,
+  resolveCollectionHandles,
+  resolveProductReferences,
+  resolveVariantReferences,
+} from "./quantity-breaks.server";
+import {
+  RULE_WRITE_SAVED,
+  listPublishedRules,
+  listRuleRecords,
+  saveRules,
+  syncPublishedRules,
+} from "./rules.server";
+
+export const RULE_BACKUP_FORMAT = "quantity-breaks-rules";
+export const RULE_BACKUP_VERSION = 1;
+
+const RESOURCE_FIELDS = [
+  "id",
+  "source_id",
+  "products",
+  "collections",
+  "collection_product_ids",
+  "variants",
+];
+
+const omitResourceFields = (rule) =>
+  Object.fromEntries(Object.entries(rule).filter(([field]) => !RESOURCE_FIELDS.includes(field)));
+
+// Resource IDs differ between shops, so a backup refers to products and collections by handle
+// and to variants by SKU (or product handle and variant title). Collection product lists are
+// rebuilt on restore.
+const toPortableRule = (rule, { productHandles, collectionHandles, variantReferences }) => ({
+  ...omitResourceFields(rule),
+  source_id: rule.id,
+  products: getRuleSelectedProductIds(rule)
+    .filter((productId) => productHandles.has(productId))
+    .map((productId) => ({ handle: productHandles.get(productId) })),
+  collections: getRuleCollectionIds(rule)
+    .filter((collectionId) => collectionHandles.has(collectionId))
+    .map((collectionId) => ({ handle: collectionHandles.get(collectionId) })),
+  variants: getRuleVariantEntries(rule)
+    .filter((entry) => variantReferences.has(entry.id))
+    .map((entry) => ({
+      ...variantReferences.get(entry.id),
+      ...(entry.excluded ? { excluded: true } : {}),
+      ...(entry.tiers ? { tiers: entry.tiers } : {}),
+    })),
+});
+
+// Backs up the published rules, which is what `quantity_breaks.discounts` holds.
+export const exportRulesBackup = async ({ admin, shop }) => {
+  const rules = await listPublishedRules(shop);
+  const references = {
+    productHandles: await fetchProductHandles(
+      admin,
+      rules.flatMap((rule) => getRuleSelectedProductIds(rule)),
+    ),
+    collectionHandles: await fetchCollectionHandles(
+      admin,
+      rules.flatMap((rule) => getRuleCollectionIds(rule)),
+    ),
+    variantReferences: await fetchVariantReferences(
+      admin,
+      rules.flatMap((rule) => getRuleVariantEntries(rule).map((entry) => entry.id)),
+    ),
+  };
+
+  return {
+    format: RULE_BACKUP_FORMAT,
+    version: RULE_BACKUP_VERSION,
+    shop,
+    exported_at: new Date().toISOString(),
+    discounts: rules.map((rule) => toPortableRule(rule, references)),
+  };
+};
+
+const readBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(String(text || ""));
+  } catch {
+    return { errors: ["The file is not valid JSON."], discounts: [] };
+  }
+
+  if (backup?.format !== RULE_BACKUP_FORMAT || !Array.isArray(backup?.discounts)) {
+    return { errors: ["This file is not a quantity breaks backup."], discounts: [] };
+  }
+  if (!Number.isInteger(backup.version) || backup.version > RULE_BACKUP_VERSION) {
+    return {
+      errors: ["This backup was made by a newer version of the app and can't be restored."],
+      discounts: [],
+    };
+  }
+
+  const errors = backup.discounts.flatMap((discount, index) =>
+    discount && typeof discount === "object" && String(discount.title || "").trim()
+      ? []
+      : [`Rule ${index + 1} in the backup has no title.`],
+  );
+  return { errors, discounts: backup.discounts, shop: backup.shop || null };
+};
+
+const getArray = (value) => (Array.isArray(value) ? value : []);
+
+const getHandles = (references) =>
+  getArray(references)
+    .map((reference) => reference?.handle)
+    .filter((handle) => typeof handle === "string" && handle);
+
+const getVariantReferences = (references) =>
+  getArray(references).filter((reference) => reference && typeof reference === "object");
+
+const getVariantLabel = (reference) =>
+  reference.sku
+    ? `Variant with SKU "${reference.sku}"`
+    : `Variant "${reference.title}" of product "${reference.product_handle}"`;
+
+// Maps every portable reference to this shop's resources without writing anything. Rules keep
+// their unresolved references out and list them in `unresolved`. `revisions` are those of the
+// shop's current rules, which a replacing restore deletes.
+export const planRulesRestore = async ({ admin, shop, backup }) => {
+  const { errors, discounts, shop: sourceShop } = readBackup(backup);
+  if (errors.length > 0) return { errors, sourceShop: null, rules: [], revisions: {} };
+
+  const productIds = await resolveProductReferences(
+    admin,
+    discounts.flatMap((discount) => getHandles(discount.products)),
+  );
+  const collectionIds = await resolveCollectionHandles(
+    admin,
+    discounts.flatMap((discount) => getHandles(discount.collections)),
+  );
+  const variants = await resolveVariantReferences(
+    admin,
+    discounts.flatMap((discount) => getVariantReferences(discount.variants)),
+  );
+
+  const rules = [];
+  for (const discount of discounts) {
+    const unresolved = [];
+
+    const ruleProductIds = [];
+    for (const handle of getHandles(discount.products)) {
+      if (productIds.has(handle)) ruleProductIds.push(productIds.get(handle));
+      else unresolved.push(`Product "${handle}"`);
+    }
+
+    const ruleCollectionIds = [];
+    for (const handle of getHandles(discount.collections)) {
+      if (collectionIds.has(handle)) ruleCollectionIds.push(collectionIds.get(handle));
+      else unresolved.push(`Collection "${handle}"`);
+    }
+
+    const ruleVariants = [];
+    for (const reference of getVariantReferences(discount.variants)) {
+      const variant = variants.get(getVariantReferenceKey(reference));
+      if (!variant) {
+        unresolved.push(getVariantLabel(reference));
+        continue;
+      }
+      ruleVariants.push({
+        ...variant,
+        ...(reference.excluded ? { excluded: true } : {}),
+        ...(reference.tiers ? { tiers: reference.tiers } : {}),
+      });
+    }
+
+    rules.push({
+      title: String(discount.title).trim(),
+      kind: normalizeRuleKind(discount.kind),
+      unresolved,
+      rule: {
+        ...omitResourceFields(discount),
+        products: ruleProductIds,
+        collections: ruleCollectionIds,
+        collection_product_ids: await fetchCollectionProductIds(admin, ruleCollectionIds),
+        variants: ruleVariants,
+      },
+    });
+  }
+
+  const revisions = Object.fromEntries(
+    (await listRuleRecords(shop)).map((record) => [record.rule.id, record.revision]),
+  );
+
+  return { errors: [], sourceShop, rules, revisions };
+};
+
+const STALE_PREVIEW_RESULT = {
+  ok: false,
+  errors: ["Rules were changed after the preview. Preview the backup again."],
+};
+
+// Restored rules get new IDs, since rule IDs are unique across shops, and go live straight away.
+// With `replace`, the shop's current rules are deleted in the same transaction, at the
+// `revisions` the preview returned, so rules added or changed since the preview are never lost.
+export const restoreRulesBackup = async ({
+  admin,
+  shop,
+  backup,
+  replace = false,
+  revisions = {},
+  staff,
+}) => {
+  const plan = await planRulesRestore({ admin, shop, backup });
+  if (plan.errors.length > 0) return { ok: false, errors: plan.errors };
+
+  const remove = replace
+    ? Object.keys(plan.revisions).map((id) => ({ id, revision: revisions[id] }))
+    : [];
+  if (remove.some(({ revision }) => !Number.isInteger(revision))) return STALE_PREVIEW_RESULT;
+
+  const { status, created } = await saveRules(
+    shop,
+    { create: plan.rules.map((entry) => entry.rule), remove },
+    { staff, publish: true },
+  );
+  if (status !== RULE_WRITE_SAVED) return STALE_PREVIEW_RESULT;
+
+  // The rules are restored either way; a failed sync only leaves checkout on the old ones.
+  const configErrors = await syncPublishedRules({ admin, shop });
+  if (configErrors.length > 0) {
+    return {
+      ok: false,
+      errors: [
+        `Restored ${created.length} rules${replace ? ` and removed ${remove.length}` : ""}, but checkout still uses the previous rules (${configErrors[0]}). Repair this from the Health page.`,
+      ],
+    };
+  }
+
+  return { ok: true, restored: created.length, removed: remove.length };
+};
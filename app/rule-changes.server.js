@@ -0,0 +1,85 @@
+import db from "./db.server";
+
+export const RULE_CHANGE_CREATE = "create";
+export const RULE_CHANGE_UPDATE = "update";
+export const RULE_CHANGE_DELETE = "delete";
+export const RULE_CHANGE_REVERT = "revert";
+export const RULE_CHANGE_PUBLISH = "publish";
+
+export const RULE_FIELD_LABELS = {
+  title: "Title",
+  status: "Status",
+  kind: "Rule type",
+  tiers: "Tiers",
+  order_threshold: "Order threshold",
+  order_tiers: "Order tiers",
+  all_products: "All products",
+  shipping_tiers: "Shipping tiers",
+  market_tiers: "Market tiers",
+  bxgy: "Buy X get Y offer",
+  caps: "Limits",
+  count_by: "Quantity counting",
+  pricing: "Pricing",
+  priority: "Priority",
+  starts_at: "Start date",
+  ends_at: "End date",
+  buyer: "Eligibility",
+  customer_tags: "Customer tags",
+  products: "Products",
+  collections: "Collections",
+  collection_product_ids: "Collection products",
+  variants: "Variants",
+};
+
+// Embedded requests carry the staff member's user ID in the session token even when the app
+// stores offline sessions; names are only known for online sessions.
+export const getStaffMember = ({ session, sessionToken } = {}) => {
+  const user = session?.onlineAccessInfo?.associated_user;
+  const id = String(sessionToken?.sub || user?.id || "");
+  const name = [user?.first_name, user?.last_name].filter(Boolean).join(" ");
+  return { id: id || null, name: name || user?.email || null };
+};
+
+export const recordRuleChange = (tx, { shop, ruleId, action, staff, before, after }) =>
+  tx.ruleChange.create({
+    data: {
+      shop,
+      ruleId,
+      action,
+      staffId: staff?.id ?? null,
+      staffName: staff?.name ?? null,
+      ...(before ? { before } : {}),
+      ...(after ? { after } : {}),
+    },
+  });
+
+// Top-level rule fields whose value differs between two versions of a rule.
+export const getRuleDiff = (before, after) =>
+  Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]))
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+
+const toRuleChange = (row) => ({
+  id: row.id,
+  ruleId: row.ruleId,
+  action: row.action,
+  staffId: row.staffId,
+  staffName: row.staffName,
+  before: row.before ?? null,
+  after: row.after ?? null,
+  createdAt: row.createdAt.toISOString(),
+  diff: getRuleDiff(row.before, row.after),
+});
+
+export const listRuleChanges = async (shop, ruleId) => {
+  const rows = await db.ruleChange.findMany({
+    where: { shop, ruleId },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+  return rows.map((row) => toRuleChange(row));
+};
+
+export const findRuleChange = async (shop, id) => {
+  const row = await db.ruleChange.findFirst({ where: { shop, id } });
+  return row ? toRuleChange(row) : null;
+};
@@ -0,0 +1,391 @@
+import {
+  RULE_KIND_PRODUCT,
+  TIER_TYPE_FIXED_AMOUNT,
+  TIER_TYPE_FIXED_UNIT_PRICE,
+  fetchProductHandles,
+  normalizeRuleKind,
+  normalizeStoredTier,
+  resolveProductReferences,
+} from "./quantity-breaks.server";
+import { RULE_FIELD_LABELS } from "./rule-changes.server";
+import { RULE_WRITE_CONFLICT, RULE_WRITE_SAVED, listRuleRecords, saveRules } from "./rules.server";
+
+export const RULE_CSV_COLUMNS = [
+  "rule_id",
+  "title",
+  "status",
+  "products",
+  "tier_title",
+  "min_quantity",
+  "type",
+  "percent_off",
+  "amount_off",
+  "unit_price",
+];
+
+const REQUIRED_COLUMNS = ["title", "tier_title", "min_quantity"];
+const RULE_COLUMNS = ["title", "status", "products"];
+const TIER_COLUMNS = [
+  "tier_title",
+  "min_quantity",
+  "type",
+  "percent_off",
+  "amount_off",
+  "unit_price",
+];
+const MAX_IMPORT_ROWS = 5000;
+const PRODUCT_REFERENCE_SEPARATOR = ";";
+
+export const RULE_CSV_CHANGE_CREATE = "create";
+export const RULE_CSV_CHANGE_UPDATE = "update";
+export const RULE_CSV_CHANGE_NONE = "none";
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+export const parseCsv = (text) => {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map((value) => toCsvField(value)).join(",")).join("\r\n");
+
+const toTierCells = (tier) => [
+  tier.title,
+  tier.min_quantity,
+  tier.type,
+  tier.percent_off ?? "",
+  tier.amount_off ?? "",
+  tier.unit_price ?? "",
+];
+
+const isProductRule = (rule) => normalizeRuleKind(rule?.kind) === RULE_KIND_PRODUCT;
+
+// The CSV only names products, by handle. Rules that also target collections or variants, or
+// whose products no longer have a handle, would come back different and are left out.
+const getExportSkipReason = (rule, handles) => {
+  if ((rule.collections || []).length > 0) return "It targets collections.";
+  if ((rule.variants || []).length > 0) return "It has variant targets or exclusions.";
+  if ((rule.products || []).some((productId) => !handles.has(productId))) {
+    return "Some of its products were deleted.";
+  }
+  return "";
+};
+
+// One row per tier; rule columns repeat on every row of the rule. Order and buy X get Y rules
+// have no product tiers and are left out. `skipped` lists the product rules left out and why.
+export const exportRulesCsv = async ({ admin, shop }) => {
+  const productRules = (await listRuleRecords(shop))
+    .map((record) => record.rule)
+    .filter((rule) => isProductRule(rule));
+  const handles = await fetchProductHandles(
+    admin,
+    productRules.flatMap((rule) => rule.products || []),
+  );
+
+  const skipped = [];
+  const rules = productRules.filter((rule) => {
+    const reason = getExportSkipReason(rule, handles);
+    if (reason) skipped.push({ ruleId: rule.id, title: rule.title, reason });
+    return !reason;
+  });
+
+  const rows = rules.flatMap((rule) => {
+    const ruleCells = [
+      rule.id,
+      rule.title,
+      rule.status,
+      (rule.products || [])
+        .map((productId) => handles.get(productId))
+        .join(`${PRODUCT_REFERENCE_SEPARATOR} `),
+    ];
+    const tiers = Array.isArray(rule.tiers) ? rule.tiers : [];
+    if (tiers.length === 0) return [[...ruleCells, ...TIER_COLUMNS.map(() => "")]];
+    return tiers.map((tier) => [...ruleCells, ...toTierCells(tier)]);
+  });
+
+  return { csv: toCsv([RULE_CSV_COLUMNS, ...rows]), skipped };
+};
+
+const readRows = (csv) => {
+  const [header = [], ...lines] = parseCsv(csv);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    return { errors: [`The CSV is missing these columns: ${missing.join(", ")}.`], rows: [] };
+  }
+  if (lines.length === 0) return { errors: ["The CSV has no rule rows."], rows: [] };
+  if (lines.length > MAX_IMPORT_ROWS) {
+    return { errors: [`Import at most ${MAX_IMPORT_ROWS} rows at a time.`], rows: [] };
+  }
+
+  const rows = lines.map((cells, index) => ({
+    line: index + 2,
+    values: Object.fromEntries(
+      RULE_CSV_COLUMNS.map((name) => {
+        const position = columns.indexOf(name);
+        return [name, position === -1 ? "" : String(cells[position] ?? "").trim()];
+      }),
+    ),
+  }));
+  return { errors: [], rows };
+};
+
+const splitProductReferences = (value) =>
+  value
+    .split(PRODUCT_REFERENCE_SEPARATOR)
+    .map((reference) => reference.trim())
+    .filter(Boolean);
+
+const readTier = (values) =>
+  normalizeStoredTier({
+    title: values.tier_title,
+    min_quantity: values.min_quantity,
+    type: values.type || undefined,
+    percent_off: values.percent_off,
+    amount_off: values.amount_off,
+    unit_price: values.unit_price,
+  });
+
+// Rows with a rule_id update that rule; rows without one are grouped by title into new rules.
+const groupRows = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.values.rule_id ? `id:${row.values.rule_id}` : `title:${row.values.title}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return Array.from(groups.values());
+};
+
+const readRuleGroup = (group, resolved) => {
+  const [first] = group;
+  const errors = [];
+
+  for (const row of group.slice(1)) {
+    for (const column of RULE_COLUMNS) {
+      if (row.values[column] && row.values[column] !== first.values[column]) {
+        errors.push(
+          `Row ${row.line}: ${column} differs from row ${first.line} of the same rule.`,
+        );
+      }
+    }
+  }
+
+  const title = first.values.title;
+  if (!title) errors.push(`Row ${first.line}: title is required.`);
+
+  const status = (first.values.status || "active").toLowerCase();
+  if (!["active", "inactive"].includes(status)) {
+    errors.push(`Row ${first.line}: status must be "active" or "inactive".`);
+  }
+
+  const products = [];
+  for (const reference of splitProductReferences(first.values.products)) {
+    const productId = resolved.get(reference);
+    if (!productId) {
+      errors.push(`Row ${first.line}: no product has the handle or SKU "${reference}".`);
+    } else if (!products.includes(productId)) {
+      products.push(productId);
+    }
+  }
+
+  const tiers = [];
+  for (const row of group) {
+    if (TIER_COLUMNS.every((column) => !row.values[column])) continue;
+    const tier = readTier(row.values);
+    if (!tier) {
+      errors.push(
+        `Row ${row.line}: the tier needs a title, a minimum quantity of at least 1, a type of percentage, ${TIER_TYPE_FIXED_AMOUNT} or ${TIER_TYPE_FIXED_UNIT_PRICE}, and a valid amount for that type.`,
+      );
+    } else {
+      tiers.push(tier);
+    }
+  }
+
+  return {
+    line: first.line,
+    ruleId: first.values.rule_id,
+    errors,
+    fields: {
+      title,
+      status,
+      products,
+      tiers: tiers.sort((a, b) => a.min_quantity - b.min_quantity),
+    },
+  };
+};
+
+const formatTier = (tier) => {
+  if (tier.type === TIER_TYPE_FIXED_AMOUNT) {
+    return `${tier.min_quantity}+ ${tier.amount_off.toFixed(2)} off`;
+  }
+  if (tier.type === TIER_TYPE_FIXED_UNIT_PRICE) {
+    return `${tier.min_quantity}+ at ${tier.unit_price.toFixed(2)} each`;
+  }
+  return `${tier.min_quantity}+ ${tier.percent_off}% off`;
+};
+
+const formatField = (field, value, handles) => {
+  if (field === "products") {
+    return (value || []).map((productId) => handles.get(productId) || productId).join(", ");
+  }
+  if (field === "tiers") {
+    return (value || []).map((tier) => `${tier.title} (${formatTier(tier)})`).join("; ");
+  }
+  return String(value ?? "");
+};
+
+const getFieldChanges = (before, after, handles) =>
+  RULE_COLUMNS.concat("tiers")
+    .map((field) => ({
+      field,
+      label: RULE_FIELD_LABELS[field] || field,
+      before: before ? formatField(field, before[field], handles) : "",
+      after: formatField(field, after[field], handles),
+    }))
+    .filter((change) => change.before !== change.after);
+
+// Validates the whole file and works out what applying it would change, without writing.
+export const planRulesCsvImport = async ({ admin, shop, csv }) => {
+  const { errors: readErrors, rows } = readRows(csv);
+  if (readErrors.length > 0) {
+    return { errors: readErrors, changes: [], create: [], update: [], revisions: {} };
+  }
+
+  const resolved = await resolveProductReferences(
+    admin,
+    rows.flatMap((row) => splitProductReferences(row.values.products)),
+  );
+  const records = new Map(
+    (await listRuleRecords(shop)).map((record) => [record.rule.id, record]),
+  );
+
+  const errors = [];
+  const entries = [];
+
+  for (const group of groupRows(rows)) {
+    const { line, ruleId, errors: groupErrors, fields } = readRuleGroup(group, resolved);
+    const record = ruleId ? records.get(ruleId) : null;
+
+    if (ruleId && !record) {
+      groupErrors.push(
+        `Row ${line}: no rule has the ID "${ruleId}". Leave rule_id empty to create a new rule.`,
+      );
+    } else if (record && !isProductRule(record.rule)) {
+      groupErrors.push(`Row ${line}: "${record.rule.title}" is not a product rule.`);
+    }
+
+    const rule = record ? { ...record.rule, ...fields } : { ...fields, collections: [] };
+    if (
+      rule.products.length === 0 &&
+      (rule.collections || []).length === 0 &&
+      (rule.variants || []).length === 0
+    ) {
+      groupErrors.push(`Row ${line}: list at least one product handle or SKU.`);
+    }
+    if (!record && rule.tiers.length === 0) {
+      groupErrors.push(`Row ${line}: a new rule needs at least one tier.`);
+    }
+
+    if (groupErrors.length > 0) errors.push(...groupErrors);
+    else entries.push({ record, rule });
+  }
+
+  const handles = await fetchProductHandles(
+    admin,
+    entries.flatMap(({ record, rule }) => [...(record?.rule.products || []), ...rule.products]),
+  );
+
+  const changes = [];
+  const create = [];
+  const update = [];
+  for (const { record, rule } of entries) {
+    const fields = getFieldChanges(record?.rule, rule, handles);
+    if (!record) create.push(rule);
+    else if (fields.length > 0) update.push({ rule, revision: record.revision });
+
+    changes.push({
+      ruleId: record?.rule.id || null,
+      title: rule.title,
+      action: !record
+        ? RULE_CSV_CHANGE_CREATE
+        : fields.length > 0
+          ? RULE_CSV_CHANGE_UPDATE
+          : RULE_CSV_CHANGE_NONE,
+      fields,
+    });
+  }
+
+  // Applying saves against these, so rules changed after the preview fail instead of being
+  // overwritten with changes nobody reviewed.
+  const revisions = Object.fromEntries(
+    entries.filter(({ record }) => record).map(({ record }) => [record.rule.id, record.revision]),
+  );
+
+  return { errors, changes, create, update, revisions };
+};
+
+const STALE_PREVIEW_RESULT = {
+  ok: false,
+  errors: ["Some of these rules were changed after the preview. Preview the file again."],
+};
+
+// Imported rules are saved as drafts; they go live with the next publish. `revisions` are the
+// ones the preview returned.
+export const applyRulesCsvImport = async ({ admin, shop, csv, revisions = {}, staff }) => {
+  const plan = await planRulesCsvImport({ admin, shop, csv });
+  if (plan.errors.length > 0) return { ok: false, errors: plan.errors };
+
+  const update = plan.update.map(({ rule }) => ({ rule, revision: revisions[rule.id] }));
+  if (update.some(({ revision }) => !Number.isInteger(revision))) return STALE_PREVIEW_RESULT;
+
+  const { status } = await saveRules(shop, { create: plan.create, update }, { staff });
+  if (status === RULE_WRITE_CONFLICT) return STALE_PREVIEW_RESULT;
+  if (status !== RULE_WRITE_SAVED) {
+    return { ok: false, errors: ["Some of these rules no longer exist. Preview the file again."] };
+  }
+
+  return { ok: true, created: plan.create.length, updated: plan.update.length };
+};
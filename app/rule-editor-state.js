@@ -0,0 +1,404 @@
+import {
+  normalizeCustomerTags,
+  normalizeProductId,
+  normalizeProductIds,
+  normalizeRuleKind,
+} from "./rule-normalizers";
+
+// Form state for the rule editor: loading a rule into the form, comparing two states, and
+// merging a stale form with a newer save.
+
+export const cloneTiers = (value) =>
+  Array.isArray(value) ? value.map((tier) => ({ ...(tier || {}) })) : [];
+
+const cloneProducts = (value) =>
+  Array.isArray(value) ? value.map((product) => ({ ...(product || {}) })) : [];
+
+const cloneVariants = (value) =>
+  Array.isArray(value)
+    ? value.map((variant) => ({ ...(variant || {}), tiers: cloneTiers(variant?.tiers) }))
+    : [];
+
+const cloneMarketTiers = (value) =>
+  Array.isArray(value)
+    ? value.map((entry) => ({ ...(entry || {}), tiers: cloneTiers(entry?.tiers) }))
+    : [];
+
+const cloneCollections = (value) =>
+  Array.isArray(value) ? value.map((collection) => ({ ...(collection || {}) })) : [];
+
+export const getProductImageUrl = (product) =>
+  product?.image ||
+  product?.images?.[0]?.originalSrc ||
+  product?.images?.[0]?.url ||
+  product?.featuredImage?.url ||
+  product?.image?.src ||
+  "";
+
+const getProductPrice = (product) =>
+  String(product?.price || product?.variants?.[0]?.price || "");
+
+const normalizeProductForEditor = (product = {}) => {
+  const productId = normalizeProductId(product);
+  if (!productId) return { id: "", title: "", image: "", price: "", status: "" };
+  if (typeof product === "string") {
+    return { id: productId, title: "", image: "", price: "", status: "" };
+  }
+  return {
+    id: productId,
+    title: typeof product.title === "string" ? product.title : "",
+    image: getProductImageUrl(product),
+    price: getProductPrice(product),
+    status: typeof product.status === "string" ? product.status.toUpperCase() : "",
+  };
+};
+
+export const normalizeProductsForEditor = (products) =>
+  Array.isArray(products)
+    ? Array.from(
+        products
+          .map(normalizeProductForEditor)
+          .filter((product) => product.id.startsWith("gid://shopify/Product/"))
+          .reduce((acc, product) => {
+            if (!acc.has(product.id)) acc.set(product.id, product);
+            return acc;
+          }, new Map())
+          .values(),
+      )
+    : [];
+
+export const normalizeCollectionsForEditor = (collections) =>
+  Array.isArray(collections)
+    ? Array.from(
+        collections
+          .filter(
+            (collection) =>
+              typeof collection?.id === "string" &&
+              collection.id.startsWith("gid://shopify/Collection/"),
+          )
+          .map((collection) => ({
+            id: collection.id,
+            title: typeof collection.title === "string" ? collection.title : "",
+            image: collection.image?.originalSrc || collection.image?.url || collection.image || "",
+          }))
+          .reduce((acc, collection) => {
+            if (!acc.has(collection.id)) acc.set(collection.id, collection);
+            return acc;
+          }, new Map())
+          .values(),
+      )
+    : [];
+
+export const getCollectionIds = (collections) =>
+  (Array.isArray(collections) ? collections : [])
+    .map((collection) => collection?.id)
+    .filter(Boolean);
+
+export const COUNT_BY_OPTIONS = [
+  { value: "variant", label: "Per variant" },
+  { value: "product", label: "Per product (all variants combined)" },
+  { value: "rule", label: "Mix and match (all products in this rule combined)" },
+];
+
+const normalizeCountByForEditor = (countBy) =>
+  COUNT_BY_OPTIONS.some((option) => option.value === countBy) ? countBy : "variant";
+
+export const PRICING_OPTIONS = [
+  { value: "all_units", label: "Every unit gets the highest tier reached" },
+  { value: "graduated", label: "Graduated (each quantity bracket priced at its own tier)" },
+];
+
+const normalizePricingForEditor = (pricing) =>
+  PRICING_OPTIONS.some((option) => option.value === pricing) ? pricing : "all_units";
+
+export const CAP_FIELDS = [
+  {
+    field: "max_line_amount",
+    name: "capMaxLineAmount",
+    label: "Maximum discount per cart line",
+    error: "Maximum discount per cart line must be an amount greater than 0.",
+  },
+  {
+    field: "max_rule_amount",
+    name: "capMaxRuleAmount",
+    label: "Maximum discount per order",
+    error: "Maximum discount per order must be an amount greater than 0.",
+  },
+  {
+    field: "max_units",
+    name: "capMaxUnits",
+    label: "Maximum discounted units per order",
+    error: "Maximum discounted units must be a whole number greater than 0.",
+  },
+];
+
+const normalizeCapsForEditor = (caps) =>
+  Object.fromEntries(CAP_FIELDS.map(({ field }) => [field, toEditorValue(caps?.[field])]));
+
+export const BXGY_REWARD_OPTIONS = [
+  { value: "cheapest", label: "Cheapest items in this rule" },
+  { value: "same_item", label: "The same item" },
+];
+
+export const ORDER_THRESHOLD_OPTIONS = [
+  { value: "quantity", label: "Number of items", field: "min_quantity", fieldLabel: "Minimum items" },
+  { value: "subtotal", label: "Amount spent", field: "min_subtotal", fieldLabel: "Minimum spend" },
+];
+
+export const getOrderThresholdOption = (threshold) =>
+  ORDER_THRESHOLD_OPTIONS.find((option) => option.value === threshold) || ORDER_THRESHOLD_OPTIONS[0];
+
+export const ORDER_TIER_TYPE_OPTIONS = [
+  { value: "percentage", label: "Percent off order", field: "percent_off" },
+  { value: "fixed_amount", label: "Amount off order", field: "amount_off" },
+];
+
+export const getOrderTierTypeOption = (type) =>
+  ORDER_TIER_TYPE_OPTIONS.find((option) => option.value === type) || ORDER_TIER_TYPE_OPTIONS[0];
+
+export const BUYER_OPTIONS = [
+  { value: "all", label: "All customers" },
+  { value: "retail", label: "Retail customers only" },
+  { value: "b2b", label: "B2B companies only" },
+];
+
+const normalizeBuyerForEditor = (buyer) =>
+  BUYER_OPTIONS.some((option) => option.value === buyer) ? buyer : "all";
+
+export const TIER_TYPE_OPTIONS = [
+  { value: "percentage", label: "Percent off", field: "percent_off" },
+  { value: "fixed_amount", label: "Amount off each", field: "amount_off" },
+  { value: "fixed_unit_price", label: "Unit price", field: "unit_price" },
+];
+
+export const getTierTypeOption = (type) =>
+  TIER_TYPE_OPTIONS.find((option) => option.value === type) || TIER_TYPE_OPTIONS[0];
+
+const toEditorValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+const normalizeBxgyForEditor = (offer) => ({
+  title: typeof offer?.title === "string" ? offer.title : "",
+  buy_quantity: toEditorValue(offer?.buy_quantity),
+  get_quantity: toEditorValue(offer?.get_quantity),
+  percent_off: offer ? toEditorValue(offer.percent_off) : "100",
+  reward: BXGY_REWARD_OPTIONS.some((option) => option.value === offer?.reward)
+    ? offer.reward
+    : "cheapest",
+});
+
+const normalizeTierForEditor = (tier = {}) => ({
+  title: typeof tier.title === "string" ? tier.title : "",
+  min_quantity: toEditorValue(tier.min_quantity),
+  type: getTierTypeOption(tier.type).value,
+  percent_off: toEditorValue(tier.percent_off),
+  amount_off: toEditorValue(tier.amount_off),
+  unit_price: toEditorValue(tier.unit_price),
+});
+
+export const normalizeVariantsForEditor = (variants) =>
+  (Array.isArray(variants) ? variants : [])
+    .filter(
+      (variant) =>
+        typeof variant?.id === "string" &&
+        variant.id.startsWith("gid://shopify/ProductVariant/"),
+    )
+    .map((variant) => ({
+      id: variant.id,
+      product_id: typeof variant.product_id === "string" ? variant.product_id : "",
+      title: typeof variant.title === "string" ? variant.title : "",
+      excluded: variant.excluded === true,
+      tiers: Array.isArray(variant.tiers) ? variant.tiers.map(normalizeTierForEditor) : [],
+    }));
+
+const normalizeOrderTierForEditor = (tier = {}) => ({
+  title: typeof tier.title === "string" ? tier.title : "",
+  min_quantity: toEditorValue(tier.min_quantity),
+  min_subtotal: toEditorValue(tier.min_subtotal),
+  type: getOrderTierTypeOption(tier.type).value,
+  percent_off: toEditorValue(tier.percent_off),
+  amount_off: toEditorValue(tier.amount_off),
+});
+
+const toComparableOrderTier = (tier, threshold) => {
+  const thresholdOption = getOrderThresholdOption(threshold);
+  const typeOption = getOrderTierTypeOption(tier?.type);
+  return {
+    title: String(tier?.title || "").trim(),
+    [thresholdOption.field]: String(tier?.[thresholdOption.field] ?? "").trim(),
+    type: typeOption.value,
+    [typeOption.field]: String(tier?.[typeOption.field] ?? "").trim(),
+  };
+};
+
+const normalizeShippingTierForEditor = (tier = {}) => ({
+  title: typeof tier.title === "string" ? tier.title : "",
+  min_quantity: toEditorValue(tier.min_quantity),
+  percent_off: toEditorValue(tier.percent_off),
+});
+
+const normalizeMarketTiersForEditor = (marketTiers) =>
+  (Array.isArray(marketTiers) ? marketTiers : []).map((entry) => ({
+    market: typeof entry?.market === "string" ? entry.market : "",
+    country: typeof entry?.country === "string" ? entry.country : "",
+    tiers: Array.isArray(entry?.tiers) ? entry.tiers.map(normalizeTierForEditor) : [],
+  }));
+
+export const buildEditorState = (source) => ({
+  title: source?.title || "",
+  status: source?.status === "inactive" ? "inactive" : "active",
+  kind: normalizeRuleKind(source?.kind),
+  orderThreshold: getOrderThresholdOption(source?.orderThreshold).value,
+  orderTiers: Array.isArray(source?.orderTiers)
+    ? source.orderTiers.map(normalizeOrderTierForEditor)
+    : [],
+  allProducts: source?.allProducts === true,
+  bxgy: normalizeBxgyForEditor(source?.bxgy),
+  caps: normalizeCapsForEditor(source?.caps),
+  countBy: normalizeCountByForEditor(source?.countBy),
+  pricing: normalizePricingForEditor(source?.pricing),
+  priority: toEditorValue(source?.priority || ""),
+  startsAt: typeof source?.startsAt === "string" ? source.startsAt : "",
+  endsAt: typeof source?.endsAt === "string" ? source.endsAt : "",
+  buyer: normalizeBuyerForEditor(source?.buyer),
+  customerTags: Array.isArray(source?.customerTags)
+    ? source.customerTags.join(", ")
+    : String(source?.customerTags || ""),
+  tiers: Array.isArray(source?.tiers) ? source.tiers.map(normalizeTierForEditor) : [],
+  marketTiers: normalizeMarketTiersForEditor(source?.marketTiers),
+  shippingTiers: Array.isArray(source?.shippingTiers)
+    ? source.shippingTiers.map(normalizeShippingTierForEditor)
+    : [],
+  products: normalizeProductsForEditor(source?.products),
+  collections: normalizeCollectionsForEditor(source?.collections),
+  variants: normalizeVariantsForEditor(source?.variants),
+});
+
+export const cloneEditorState = (state) => ({
+  title: state?.title || "",
+  status: state?.status === "inactive" ? "inactive" : "active",
+  kind: normalizeRuleKind(state?.kind),
+  orderThreshold: getOrderThresholdOption(state?.orderThreshold).value,
+  orderTiers: cloneTiers(state?.orderTiers || []),
+  allProducts: state?.allProducts === true,
+  bxgy: { ...normalizeBxgyForEditor(null), ...(state?.bxgy || {}) },
+  caps: { ...normalizeCapsForEditor(null), ...(state?.caps || {}) },
+  countBy: normalizeCountByForEditor(state?.countBy),
+  pricing: normalizePricingForEditor(state?.pricing),
+  priority: String(state?.priority ?? "").trim(),
+  startsAt: state?.startsAt || "",
+  endsAt: state?.endsAt || "",
+  buyer: normalizeBuyerForEditor(state?.buyer),
+  customerTags: state?.customerTags || "",
+  tiers: cloneTiers(state?.tiers || []),
+  marketTiers: cloneMarketTiers(state?.marketTiers || []),
+  shippingTiers: cloneTiers(state?.shippingTiers || []),
+  products: cloneProducts(state?.products || []),
+  collections: cloneCollections(state?.collections || []),
+  variants: cloneVariants(state?.variants || []),
+});
+
+const toComparableTier = (tier) => {
+  const typeOption = getTierTypeOption(tier?.type);
+  return {
+    title: String(tier?.title || "").trim(),
+    min_quantity: String(tier?.min_quantity ?? "").trim(),
+    type: typeOption.value,
+    [typeOption.field]: String(tier?.[typeOption.field] ?? "").trim(),
+  };
+};
+
+const toComparableState = (state) => ({
+  title: String(state?.title || "").trim(),
+  status: state?.status === "inactive" ? "inactive" : "active",
+  kind: normalizeRuleKind(state?.kind),
+  orderThreshold: getOrderThresholdOption(state?.orderThreshold).value,
+  orderTiers: (Array.isArray(state?.orderTiers) ? state.orderTiers : []).map((tier) =>
+    toComparableOrderTier(tier, state?.orderThreshold),
+  ),
+  allProducts: state?.allProducts === true,
+  bxgy: Object.fromEntries(
+    Object.entries({ ...normalizeBxgyForEditor(null), ...(state?.bxgy || {}) }).map(
+      ([field, value]) => [field, String(value ?? "").trim()],
+    ),
+  ),
+  caps: Object.fromEntries(
+    CAP_FIELDS.map(({ field }) => [field, String(state?.caps?.[field] ?? "").trim()]),
+  ),
+  countBy: normalizeCountByForEditor(state?.countBy),
+  pricing: normalizePricingForEditor(state?.pricing),
+  priority: String(state?.priority ?? "").trim(),
+  startsAt: String(state?.startsAt || "").trim(),
+  endsAt: String(state?.endsAt || "").trim(),
+  buyer: normalizeBuyerForEditor(state?.buyer),
+  customerTags: normalizeCustomerTags(state?.customerTags),
+  tiers: (Array.isArray(state?.tiers) ? state.tiers : []).map(toComparableTier),
+  marketTiers: (Array.isArray(state?.marketTiers) ? state.marketTiers : []).map((entry) => ({
+    market: String(entry?.market || "").trim(),
+    country: String(entry?.country || "").trim().toUpperCase(),
+    tiers: (Array.isArray(entry?.tiers) ? entry.tiers : []).map(toComparableTier),
+  })),
+  shippingTiers: (Array.isArray(state?.shippingTiers) ? state.shippingTiers : []).map((tier) => ({
+    title: String(tier?.title || "").trim(),
+    min_quantity: String(tier?.min_quantity ?? "").trim(),
+    percent_off: String(tier?.percent_off ?? "").trim(),
+  })),
+  products: normalizeProductIds(state?.products),
+  collections: getCollectionIds(state?.collections),
+  variants: (Array.isArray(state?.variants) ? state.variants : []).map((variant) => ({
+    id: variant?.id || "",
+    excluded: variant?.excluded === true,
+    tiers: (Array.isArray(variant?.tiers) ? variant.tiers : []).map(toComparableTier),
+  })),
+});
+
+export const editorStatesMatch = (a, b) =>
+  JSON.stringify(toComparableState(a)) === JSON.stringify(toComparableState(b));
+
+const EDITOR_FIELD_LABELS = {
+  title: "Title",
+  status: "Status",
+  kind: "Rule type",
+  orderThreshold: "Order threshold",
+  orderTiers: "Order tiers",
+  allProducts: "All products",
+  bxgy: "Buy X get Y offer",
+  caps: "Limits",
+  countBy: "Quantity counting",
+  pricing: "Pricing",
+  priority: "Priority",
+  startsAt: "Start date",
+  endsAt: "End date",
+  buyer: "Eligibility",
+  customerTags: "Customer tags",
+  tiers: "Tiers",
+  marketTiers: "Market tiers",
+  shippingTiers: "Shipping tiers",
+  products: "Products",
+  collections: "Collections",
+  variants: "Variants",
+};
+
+// Three-way merge of the editor against a rule someone else saved: fields edited here keep the
+// local value, everything else takes theirs. Fields both sides changed differently are reported.
+export const mergeEditorStates = (base, mine, theirs) => {
+  const [baseFields, mineFields, theirFields] = [base, mine, theirs].map((state) =>
+    Object.fromEntries(
+      Object.entries(toComparableState(state)).map(([field, value]) => [
+        field,
+        JSON.stringify(value),
+      ]),
+    ),
+  );
+  const merged = cloneEditorState(theirs);
+  const conflicts = [];
+
+  for (const field of Object.keys(EDITOR_FIELD_LABELS)) {
+    if (mineFields[field] === baseFields[field]) continue;
+    merged[field] = mine[field];
+    if (theirFields[field] !== baseFields[field] && theirFields[field] !== mineFields[field]) {
+      conflicts.push(EDITOR_FIELD_LABELS[field]);
+    }
+  }
+
+  return { state: merged, conflicts };
+};
@@ -0,0 +1,96 @@
+// Normalizers shared by the server and the rule editor. Keep this module free of server-only
+// imports so route components can use it.
+
+export const normalizeCustomerTags = (tags) =>
+  Array.from(
+    new Set(
+      (Array.isArray(tags) ? tags : String(tags ?? "").split(","))
+        .map((tag) => String(tag ?? "").trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  ).sort();
+
+export const RULE_KIND_PRODUCT = "product";
+export const RULE_KIND_ORDER = "order";
+export const RULE_KIND_BXGY = "bxgy";
+export const RULE_KINDS = [RULE_KIND_PRODUCT, RULE_KIND_ORDER, RULE_KIND_BXGY];
+
+export const normalizeRuleKind = (kind) => (RULE_KINDS.includes(kind) ? kind : RULE_KIND_PRODUCT);
+
+export const normalizeProductId = (product) => {
+  if (typeof product === "string" && product.startsWith("gid://shopify/Product/")) {
+    return product;
+  }
+
+  if (
+    product &&
+    typeof product === "object" &&
+    typeof product.id === "string" &&
+    product.id.startsWith("gid://shopify/Product/")
+  ) {
+    return product.id;
+  }
+
+  return "";
+};
+
+export const normalizeProductIds = (products) =>
+  Array.from(
+    new Set(
+      (Array.isArray(products) ? products : [])
+        .map((product) => normalizeProductId(product))
+        .filter(Boolean),
+    ),
+  );
+
+export const normalizeVariantId = (variant) => {
+  if (typeof variant === "string" && variant.startsWith("gid://shopify/ProductVariant/")) {
+    return variant;
+  }
+
+  if (
+    variant &&
+    typeof variant === "object" &&
+    typeof variant.id === "string" &&
+    variant.id.startsWith("gid://shopify/ProductVariant/")
+  ) {
+    return variant.id;
+  }
+
+  return "";
+};
+
+export const normalizeVariantIds = (variants) =>
+  Array.from(
+    new Set(
+      (Array.isArray(variants) ? variants : [])
+        .map((variant) => normalizeVariantId(variant))
+        .filter(Boolean),
+    ),
+  );
+
+export const normalizeCollectionId = (collection) => {
+  if (typeof collection === "string" && collection.startsWith("gid://shopify/Collection/")) {
+    return collection;
+  }
+
+  if (
+    collection &&
+    typeof collection === "object" &&
+    typeof collection.id === "string" &&
+    collection.id.startsWith("gid://shopify/Collection/")
+  ) {
+    return collection.id;
+  }
+
+  return "";
+};
+
+export const normalizeCollectionIds = (collections) =>
+  Array.from(
+    new Set(
+      (Array.isArray(collections) ? collections : [])
+        .map((collection) => normalizeCollectionId(collection))
+        .filter(Boolean),
+    ),
+  );
@@ -0,0 +1,816 @@
+import { Prisma } from "@prisma/client";
+import db from "./db.server";
+import { enqueueProjectionRebuild } from "./projection-jobs.server";
+import {
+  RULE_KIND_ORDER,
+  createRuleId,
+  fetchCollectionProductIds,
+  fetchExistingResourceIds,
+  fetchProductCollectionIds,
+  getRuleCollectionIds,
+  getRuleKey,
+  getRuleOrderSettings,
+  getRuleProductIds,
+  getRuleSelectedProductIds,
+  getRuleShippingTiers,
+  getRuleVariantEntries,
+  getRuleVariantIds,
+  migrateRuleIds,
+  normalizeCollectionId,
+  normalizeProductId,
+  normalizeProductIds,
+  normalizeRuleKind,
+  normalizeStoredTier,
+  readDiscountConfig,
+  readShopSettings,
+  syncAutomaticDiscountMetafields,
+  writeDiscountConfig,
+} from "./quantity-breaks.server";
+import {
+  RULE_CHANGE_CREATE,
+  RULE_CHANGE_DELETE,
+  RULE_CHANGE_PUBLISH,
+  RULE_CHANGE_REVERT,
+  RULE_CHANGE_UPDATE,
+  findRuleChange,
+  recordRuleChange,
+} from "./rule-changes.server";
+
+export const TIER_KIND_PRODUCT = "product";
+export const TIER_KIND_ORDER = "order";
+export const TIER_KIND_SHIPPING = "shipping";
+
+export const TARGET_TYPE_PRODUCT = "product";
+export const TARGET_TYPE_COLLECTION = "collection";
+export const TARGET_TYPE_COLLECTION_PRODUCT = "collection_product";
+export const TARGET_TYPE_VARIANT = "variant";
+
+export const RULE_WRITE_SAVED = "saved";
+export const RULE_WRITE_CONFLICT = "conflict";
+export const RULE_WRITE_NOT_FOUND = "not_found";
+
+export const RULE_PUBLISH_LIVE = "live";
+export const RULE_PUBLISH_DRAFT = "draft";
+export const RULE_PUBLISH_PENDING = "pending";
+
+// Rule fields that live in their own columns or tables; everything else is kept in `config`.
+const RULE_COLUMN_FIELDS = [
+  "id",
+  "title",
+  "status",
+  "kind",
+  "tiers",
+  "order_tiers",
+  "shipping_tiers",
+  "products",
+  "collections",
+  "collection_product_ids",
+  "variants",
+];
+
+const RULE_INCLUDE = {
+  tiers: { orderBy: { position: "asc" } },
+  targets: { orderBy: { position: "asc" } },
+};
+
+const toTierRows = (kind, tiers) =>
+  tiers.map((tier, position) => ({
+    kind,
+    position,
+    title: tier.title,
+    type: tier.type,
+    minQuantity: tier.min_quantity ?? null,
+    minSubtotal: tier.min_subtotal ?? null,
+    percentOff: tier.percent_off ?? null,
+    amountOff: tier.amount_off ?? null,
+    unitPrice: tier.unit_price ?? null,
+  }));
+
+const toTargetRows = (type, resourceIds) =>
+  resourceIds.map((resourceId, position) => ({ type, resourceId, position }));
+
+const toRuleData = (rule = {}) => {
+  const kind = normalizeRuleKind(rule.kind);
+  const config = Object.fromEntries(
+    Object.entries(rule).filter(
+      ([field, value]) => !RULE_COLUMN_FIELDS.includes(field) && value !== undefined,
+    ),
+  );
+
+  return {
+    title: String(rule.title || "").trim() || "Untitled",
+    status: rule.status === "inactive" ? "inactive" : "active",
+    kind,
+    config: JSON.parse(JSON.stringify(config)),
+    tiers: [
+      ...toTierRows(
+        TIER_KIND_PRODUCT,
+        (Array.isArray(rule.tiers) ? rule.tiers : [])
+          .map((tier) => normalizeStoredTier(tier))
+          .filter(Boolean),
+      ),
+      ...toTierRows(
+        TIER_KIND_ORDER,
+        kind === RULE_KIND_ORDER ? getRuleOrderSettings(rule).tiers : [],
+      ),
+      ...toTierRows(TIER_KIND_SHIPPING, getRuleShippingTiers(rule)),
+    ],
+    targets: [
+      ...toTargetRows(TARGET_TYPE_PRODUCT, getRuleSelectedProductIds(rule)),
+      ...toTargetRows(TARGET_TYPE_COLLECTION, getRuleCollectionIds(rule)),
+      ...toTargetRows(
+        TARGET_TYPE_COLLECTION_PRODUCT,
+        normalizeProductIds(rule.collection_product_ids),
+      ),
+      ...getRuleVariantEntries(rule).map((entry, position) => ({
+        type: TARGET_TYPE_VARIANT,
+        resourceId: entry.id,
+        productId: entry.product_id,
+        excluded: entry.excluded === true,
+        ...(entry.tiers ? { tiers: entry.tiers } : {}),
+        position,
+      })),
+    ],
+  };
+};
+
+const toTier = (row) => ({
+  title: row.title,
+  ...(row.minQuantity !== null ? { min_quantity: row.minQuantity } : {}),
+  ...(row.minSubtotal !== null ? { min_subtotal: row.minSubtotal } : {}),
+  type: row.type,
+  ...(row.percentOff !== null ? { percent_off: row.percentOff } : {}),
+  ...(row.amountOff !== null ? { amount_off: row.amountOff } : {}),
+  ...(row.unitPrice !== null ? { unit_price: row.unitPrice } : {}),
+});
+
+const getTiers = (row, kind) =>
+  row.tiers.filter((tier) => tier.kind === kind).map((tier) => toTier(tier));
+
+const getTargetIds = (row, type) =>
+  row.targets.filter((target) => target.type === type).map((target) => target.resourceId);
+
+// Rebuilds the metafield shape the discount function and projections already understand.
+const toRule = (row) => ({
+  id: row.id,
+  title: row.title,
+  status: row.status,
+  kind: row.kind,
+  ...row.config,
+  products: getTargetIds(row, TARGET_TYPE_PRODUCT),
+  collections: getTargetIds(row, TARGET_TYPE_COLLECTION),
+  collection_product_ids: getTargetIds(row, TARGET_TYPE_COLLECTION_PRODUCT),
+  variants: row.targets
+    .filter((target) => target.type === TARGET_TYPE_VARIANT)
+    .map((target) => ({
+      id: target.resourceId,
+      product_id: target.productId,
+      ...(target.excluded ? { excluded: true } : {}),
+      ...(Array.isArray(target.tiers) && target.tiers.length > 0 ? { tiers: target.tiers } : {}),
+    })),
+  tiers: getTiers(row, TIER_KIND_PRODUCT),
+  ...(row.kind === RULE_KIND_ORDER ? { order_tiers: getTiers(row, TIER_KIND_ORDER) } : {}),
+  shipping_tiers: getTiers(row, TIER_KIND_SHIPPING),
+});
+
+const toRuleFromData = (id, { tiers, targets, ...data }) =>
+  toRule({
+    id,
+    ...data,
+    tiers,
+    targets: targets.map((target) => ({ productId: null, excluded: false, tiers: null, ...target })),
+  });
+
+// JSONB does not keep key order, so published snapshots are compared with sorted keys.
+export const toCanonicalJson = (value) =>
+  JSON.stringify(value, (key, entry) =>
+    entry && typeof entry === "object" && !Array.isArray(entry)
+      ? Object.fromEntries(Object.entries(entry).sort(([left], [right]) => left.localeCompare(right)))
+      : entry,
+  );
+
+// Top-level fields of the draft that differ from what checkout currently sees.
+const getPendingFields = (rule, published) => {
+  if (!published) return [];
+  return Array.from(new Set([...Object.keys(rule), ...Object.keys(published)])).filter(
+    (field) => toCanonicalJson(rule[field]) !== toCanonicalJson(published[field]),
+  );
+};
+
+const getPublishState = (rule, published) => {
+  if (!published) return RULE_PUBLISH_DRAFT;
+  return toCanonicalJson(rule) === toCanonicalJson(published)
+    ? RULE_PUBLISH_LIVE
+    : RULE_PUBLISH_PENDING;
+};
+
+// The tables hold the draft every save writes to; `published` is the copy checkout sees.
+const toRuleRecord = (row) => {
+  const rule = toRule(row);
+  const published = row.published ?? null;
+  return {
+    rule,
+    revision: row.revision,
+    published,
+    publishState: getPublishState(rule, published),
+    pendingFields: getPendingFields(rule, published),
+  };
+};
+
+const RULE_ORDER = [{ position: "asc" }, { createdAt: "asc" }];
+
+export const listRuleRecords = async (shop) => {
+  const rows = await db.rule.findMany({ where: { shop }, include: RULE_INCLUDE, orderBy: RULE_ORDER });
+  return rows.map((row) => toRuleRecord(row));
+};
+
+export const listRules = async (shop) =>
+  (await listRuleRecords(shop)).map((record) => record.rule);
+
+export const listPublishedRules = async (shop) => {
+  const rows = await db.rule.findMany({
+    where: { shop, publishedAt: { not: null } },
+    select: { published: true },
+    orderBy: RULE_ORDER,
+  });
+  return rows.map((row) => row.published).filter(Boolean);
+};
+
+export const findRule = async (shop, id) => {
+  const row = await db.rule.findFirst({ where: { id, shop }, include: RULE_INCLUDE });
+  return row ? toRuleRecord(row) : null;
+};
+
+const insertRule = async (tx, shop, rule, { staff, action = RULE_CHANGE_CREATE } = {}) => {
+  const { tiers, targets, ...data } = toRuleData(rule);
+  const last = await tx.rule.aggregate({ where: { shop }, _max: { position: true } });
+  const row = await tx.rule.create({
+    data: {
+      ...data,
+      id: rule.id || createRuleId(),
+      shop,
+      position: (last._max.position ?? -1) + 1,
+      tiers: { create: tiers },
+      targets: { create: targets },
+    },
+    include: RULE_INCLUDE,
+  });
+  const created = toRule(row);
+  if (staff) {
+    await recordRuleChange(tx, {
+      shop,
+      ruleId: row.id,
+      action,
+      staff,
+      after: created,
+    });
+  }
+  return created;
+};
+
+// Writes made with a `staff` option are recorded in the rule's change history.
+export const createRule = async (shop, rule, options) =>
+  db.$transaction((tx) => insertRule(tx, shop, rule, options));
+
+const getMissedWriteStatus = async (tx, shop, id) =>
+  (await tx.rule.count({ where: { id, shop } })) > 0 ? RULE_WRITE_CONFLICT : RULE_WRITE_NOT_FOUND;
+
+const findRuleRow = (tx, shop, id) =>
+  tx.rule.findFirst({ where: { id, shop }, include: RULE_INCLUDE });
+
+const updateRule = async (tx, shop, rule, { revision, staff, action = RULE_CHANGE_UPDATE } = {}) => {
+  const previous = await findRuleRow(tx, shop, rule.id);
+  const { tiers, targets, ...data } = toRuleData(rule);
+  const { count } = await tx.rule.updateMany({
+    where: { id: rule.id, shop, ...(revision !== undefined ? { revision } : {}) },
+    data: { ...data, revision: { increment: 1 } },
+  });
+  if (count === 0) return { status: await getMissedWriteStatus(tx, shop, rule.id) };
+
+  await tx.ruleTier.deleteMany({ where: { ruleId: rule.id } });
+  await tx.ruleTier.createMany({ data: tiers.map((tier) => ({ ...tier, ruleId: rule.id })) });
+  await tx.ruleTarget.deleteMany({ where: { ruleId: rule.id } });
+  await tx.ruleTarget.createMany({
+    data: targets.map((target) => ({ ...target, ruleId: rule.id })),
+  });
+
+  const row = await findRuleRow(tx, shop, rule.id);
+  const saved = toRule(row);
+  if (staff) {
+    await recordRuleChange(tx, {
+      shop,
+      ruleId: rule.id,
+      action,
+      staff,
+      before: toRule(previous),
+      after: saved,
+    });
+  }
+  return { status: RULE_WRITE_SAVED, rule: saved, revision: row.revision };
+};
+
+// Passing the revision the caller loaded makes the write fail with a conflict when someone else
+// saved the rule in the meantime; omitting it overwrites unconditionally.
+export const saveRule = async (shop, rule, options) =>
+  db.$transaction((tx) => updateRule(tx, shop, rule, options));
+
+const BULK_WRITE_TIMEOUT_MS = 60_000;
+
+class RuleWriteAbort extends Error {
+  constructor(status) {
+    super(`Rule write failed: ${status}`);
+    this.status = status;
+  }
+}
+
+// Creates, updates and deletes several rules in one transaction; a conflict on any of them rolls
+// back the whole batch. `update` entries are `{ rule, revision }` and `remove` entries are
+// `{ id, revision }`. With `publish`, created rules go live in the same transaction.
+export const saveRules = async (
+  shop,
+  { create = [], update = [], remove = [] },
+  { staff, publish = false } = {},
+) => {
+  try {
+    return await db.$transaction(
+      async (tx) => {
+        for (const { id, revision } of remove) {
+          const previous = await findRuleRow(tx, shop, id);
+          const { count } = await tx.rule.deleteMany({
+            where: { id, shop, ...(revision !== undefined ? { revision } : {}) },
+          });
+          if (count === 0) throw new RuleWriteAbort(await getMissedWriteStatus(tx, shop, id));
+          if (staff) {
+            await recordRuleChange(tx, {
+              shop,
+              ruleId: id,
+              action: RULE_CHANGE_DELETE,
+              staff,
+              before: toRule(previous),
+            });
+          }
+        }
+        for (const { rule, revision } of update) {
+          const { status } = await updateRule(tx, shop, rule, { revision, staff });
+          if (status !== RULE_WRITE_SAVED) throw new RuleWriteAbort(status);
+        }
+        const created = [];
+        for (const rule of create) {
+          const inserted = await insertRule(tx, shop, rule, { staff });
+          if (publish) {
+            await tx.rule.update({
+              where: { id: inserted.id },
+              data: { published: inserted, publishedAt: new Date() },
+            });
+            if (staff) {
+              await recordRuleChange(tx, {
+                shop,
+                ruleId: inserted.id,
+                action: RULE_CHANGE_PUBLISH,
+                staff,
+                after: inserted,
+              });
+            }
+          }
+          created.push(inserted);
+        }
+        return { status: RULE_WRITE_SAVED, created };
+      },
+      { timeout: BULK_WRITE_TIMEOUT_MS },
+    );
+  } catch (error) {
+    if (error instanceof RuleWriteAbort) return { status: error.status };
+    throw error;
+  }
+};
+
+export const deleteRule = async (shop, id, { revision, staff, action = RULE_CHANGE_DELETE } = {}) =>
+  db.$transaction(async (tx) => {
+    const previous = await findRuleRow(tx, shop, id);
+    const { count } = await tx.rule.deleteMany({
+      where: { id, shop, ...(revision !== undefined ? { revision } : {}) },
+    });
+    if (count === 0) return { status: await getMissedWriteStatus(tx, shop, id) };
+
+    if (staff) {
+      await recordRuleChange(tx, { shop, ruleId: id, action, staff, before: toRule(previous) });
+    }
+    return { status: RULE_WRITE_SAVED };
+  });
+
+// Puts a rule back the way it was before the given change. Reverting a publish makes the earlier
+// version live again, while reverting an edit only restores the draft; reverting a creation
+// deletes the rule, reverting a deletion recreates it as a draft and reverting a first publish
+// takes the rule back to an unpublished draft. `revision` is the one the caller loaded, or
+// undefined when the rule didn't exist, so anything saved since fails with a conflict. Callers
+// sync the metafield afterwards.
+export const revertRuleChange = async ({ shop, changeId, revision, staff }) => {
+  const change = await findRuleChange(shop, changeId);
+  if (!change) return { status: RULE_WRITE_NOT_FOUND };
+
+  if (!change.before && change.action === RULE_CHANGE_PUBLISH) {
+    return db.$transaction(async (tx) => {
+      const { count } = await tx.rule.updateMany({
+        where: { id: change.ruleId, shop, ...(revision !== undefined ? { revision } : {}) },
+        data: { published: Prisma.DbNull, publishedAt: null },
+      });
+      if (count === 0) return { status: await getMissedWriteStatus(tx, shop, change.ruleId) };
+
+      await recordRuleChange(tx, {
+        shop,
+        ruleId: change.ruleId,
+        action: RULE_CHANGE_REVERT,
+        staff,
+        before: change.after,
+      });
+      return { status: RULE_WRITE_SAVED };
+    });
+  }
+
+  if (!change.before) {
+    return deleteRule(shop, change.ruleId, { revision, staff, action: RULE_CHANGE_REVERT });
+  }
+
+  return db.$transaction(async (tx) => {
+    const exists = (await tx.rule.count({ where: { id: change.ruleId, shop } })) > 0;
+    if (exists !== (revision !== undefined)) return { status: RULE_WRITE_CONFLICT };
+
+    const result = exists
+      ? await updateRule(tx, shop, change.before, { revision, staff, action: RULE_CHANGE_REVERT })
+      : {
+          status: RULE_WRITE_SAVED,
+          rule: await insertRule(tx, shop, change.before, { staff, action: RULE_CHANGE_REVERT }),
+        };
+    if (result.status === RULE_WRITE_SAVED && change.action === RULE_CHANGE_PUBLISH) {
+      await tx.rule.update({
+        where: { id: result.rule.id },
+        data: { published: result.rule, publishedAt: new Date() },
+      });
+    }
+    return result;
+  });
+};
+
+// Rules stored before drafts existed were live without a snapshot; their current row is what
+// checkout already sees.
+const backfillPublishedRules = async (shop) => {
+  const rows = await db.rule.findMany({
+    where: { shop, publishedAt: { not: null } },
+    include: RULE_INCLUDE,
+  });
+  for (const row of rows.filter((candidate) => candidate.published === null)) {
+    await db.rule.update({ where: { id: row.id }, data: { published: toRule(row) } });
+  }
+};
+
+// Shops that configured rules before the tables existed only have the metafield. Their rules are
+// copied into the database once; after that the database is the source of truth.
+export const ensureRulesImported = async (admin, shop) => {
+  if ((await db.rule.count({ where: { shop } })) > 0) {
+    await backfillPublishedRules(shop);
+    return [];
+  }
+
+  const { discounts, migratedRules, errors } = await migrateRuleIds(admin);
+  if (errors.length > 0) return errors;
+
+  try {
+    await db.$transaction(
+      discounts.map((rule, position) => {
+        const ruleData = toRuleData(rule);
+        const { tiers, targets, ...data } = ruleData;
+        return db.rule.create({
+          data: {
+            ...data,
+            id: rule.id,
+            shop,
+            position,
+            published: toRuleFromData(rule.id, ruleData),
+            publishedAt: new Date(),
+            tiers: { create: tiers },
+            targets: { create: targets },
+          },
+        });
+      }),
+    );
+  } catch (error) {
+    // Another request imported the same rules first.
+    if (error?.code !== "P2002") throw error;
+  }
+
+  if (migratedRules.length > 0) {
+    await enqueueProjectionRebuild({
+      shop,
+      productIds: migratedRules.flatMap((rule) => getRuleProductIds(rule)),
+      variantIds: migratedRules.flatMap((rule) => getRuleVariantIds(rule)),
+    });
+  }
+  return [];
+};
+
+// Writes the published rules to the shop metafield and the discount's own metafields, then queues
+// a re-projection of every product touched by a rule that differs from the metafield copy, so a
+// sync that failed halfway is repaired by the next. Store-wide rules and settings only reach the
+// function through the discount, so it is written even when no product changes. Pass `settings`
+// when they were just written. Deleted products and variants are skipped, since setting a
+// metafield on them fails the batch.
+export const syncPublishedRules = async ({
+  admin,
+  shop,
+  settings,
+  affectedProductIds = [],
+  affectedVariantIds = [],
+  deletedResourceIds = [],
+}) => {
+  const rules = await listPublishedRules(shop);
+  const { shopId, config } = await readDiscountConfig(admin);
+  const live = new Map((config.discounts || []).map((rule) => [getRuleKey(rule), rule]));
+  const ruleIds = new Set(rules.map((rule) => rule.id));
+  const deletedIds = new Set(deletedResourceIds);
+
+  const changedRules = [
+    ...rules.flatMap((rule) => {
+      const liveRule = live.get(rule.id);
+      if (toCanonicalJson(liveRule) === toCanonicalJson(rule)) return [];
+      return liveRule ? [liveRule, rule] : [rule];
+    }),
+    ...Array.from(live.entries())
+      .filter(([id]) => !ruleIds.has(id))
+      .map(([, rule]) => rule),
+  ];
+
+  const configErrors = await writeDiscountConfig(admin, shopId, rules);
+  if (configErrors.length > 0) return configErrors;
+
+  const discountErrors = await syncAutomaticDiscountMetafields(
+    admin,
+    rules,
+    settings ?? (await readShopSettings(admin)),
+  );
+  if (discountErrors.length > 0) return discountErrors;
+
+  const productIds = [
+    ...affectedProductIds,
+    ...changedRules.flatMap((rule) => getRuleProductIds(rule)),
+  ].filter((productId) => !deletedIds.has(productId));
+  const variantIds = [
+    ...affectedVariantIds,
+    ...changedRules.flatMap((rule) => getRuleVariantIds(rule)),
+  ].filter((variantId) => !deletedIds.has(variantId));
+  await enqueueProjectionRebuild({ shop, productIds, variantIds });
+  return [];
+};
+
+// Makes one rule's draft live. Like saveRule, passing the revision the caller loaded fails with a
+// conflict when the draft changed since, so nobody publishes edits they haven't seen. Callers sync
+// the metafield afterwards.
+export const publishRule = async (shop, id, { revision, staff } = {}) =>
+  db.$transaction(async (tx) => {
+    const row = await tx.rule.findFirst({
+      where: { id, shop, ...(revision !== undefined ? { revision } : {}) },
+      include: RULE_INCLUDE,
+    });
+    if (!row) return { status: await getMissedWriteStatus(tx, shop, id) };
+
+    const { rule, published, publishState } = toRuleRecord(row);
+    if (publishState === RULE_PUBLISH_LIVE) return { status: RULE_WRITE_SAVED };
+
+    const { count } = await tx.rule.updateMany({
+      where: { id, shop, revision: row.revision },
+      data: { published: rule, publishedAt: new Date() },
+    });
+    if (count === 0) return { status: await getMissedWriteStatus(tx, shop, id) };
+
+    if (staff) {
+      await recordRuleChange(tx, {
+        shop,
+        ruleId: id,
+        action: RULE_CHANGE_PUBLISH,
+        staff,
+        before: published,
+        after: rule,
+      });
+    }
+    return { status: RULE_WRITE_SAVED };
+  });
+
+// Promotes the drafts of the given rules, or of every rule with unpublished changes, in one
+// transaction and then syncs the metafield and queues the projections. Each draft is published
+// only at the revision it was read at, so a save that lands in between rolls the whole batch back
+// instead of publishing an older snapshot.
+export const publishRules = async ({ admin, shop, ruleIds, staff }) => {
+  const rows = await db.rule.findMany({
+    where: { shop, ...(ruleIds ? { id: { in: ruleIds } } : {}) },
+    include: RULE_INCLUDE,
+  });
+  const pending = rows
+    .map((row) => toRuleRecord(row))
+    .filter((record) => record.publishState !== RULE_PUBLISH_LIVE);
+
+  if (pending.length > 0) {
+    try {
+      await db.$transaction(async (tx) => {
+        const publishedAt = new Date();
+        for (const { rule, revision, published } of pending) {
+          const { count } = await tx.rule.updateMany({
+            where: { id: rule.id, shop, revision },
+            data: { published: rule, publishedAt },
+          });
+          if (count === 0) throw new RuleWriteAbort(await getMissedWriteStatus(tx, shop, rule.id));
+          if (staff) {
+            await recordRuleChange(tx, {
+              shop,
+              ruleId: rule.id,
+              action: RULE_CHANGE_PUBLISH,
+              staff,
+              before: published,
+              after: rule,
+            });
+          }
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof RuleWriteAbort)) throw error;
+      return ["Some rules were changed or deleted while publishing. Review them and publish again."];
+    }
+  }
+
+  return syncPublishedRules({ admin, shop });
+};
+
+const MAX_VERSION_UPDATE_ATTEMPTS = 5;
+
+// Writes both versions of one rule in a single transaction, guarded by the revision they were read
+// at. When another write got there first, such as a webhook for a different product changing the
+// same collection rule, the change is worked out again on top of that write instead of replacing
+// it. A published-only change bumps the revision itself so that it conflicts in the same way.
+const updateRowVersions = async (shop, row, getNextRule) => {
+  let current = row;
+  for (let attempt = 0; attempt < MAX_VERSION_UPDATE_ATTEMPTS; attempt += 1) {
+    const draft = await getNextRule(toRule(current));
+    const published = current.published ? await getNextRule(current.published) : null;
+    if (!draft && !published) return false;
+
+    const { id, revision } = current;
+    const status = await db.$transaction(async (tx) => {
+      if (draft) {
+        const result = await updateRule(tx, shop, draft, { revision });
+        if (result.status !== RULE_WRITE_SAVED) return result.status;
+      }
+      if (!published) return RULE_WRITE_SAVED;
+
+      const { count } = await tx.rule.updateMany({
+        where: draft ? { id, shop } : { id, shop, revision },
+        data: draft ? { published } : { published, revision: { increment: 1 } },
+      });
+      return count === 1 ? RULE_WRITE_SAVED : getMissedWriteStatus(tx, shop, id);
+    });
+    if (status === RULE_WRITE_SAVED) return true;
+    if (status === RULE_WRITE_NOT_FOUND) return false;
+
+    current = await findRuleRow(db, shop, id);
+    if (!current) return false;
+  }
+
+  // Thrown so the webhook fails and Shopify delivers it again.
+  throw new Error(`Rule ${row.id} kept changing while it was being updated`);
+};
+
+// Resource changes made outside the app are applied to the draft and the published copy alike, so
+// they go live without publishing anyone's unfinished edits. `getNextRule` returns null when a
+// version needs no change.
+const updateRuleVersions = async ({ admin, shop, getNextRule, deletedResourceIds }) => {
+  const rows = await db.rule.findMany({ where: { shop }, include: RULE_INCLUDE });
+  let changed = false;
+
+  for (const row of rows) {
+    if (await updateRowVersions(shop, row, getNextRule)) changed = true;
+  }
+
+  if (!changed) return [];
+
+  return syncPublishedRules({ admin, shop, deletedResourceIds });
+};
+
+export const syncCollectionRuleProducts = async ({ admin, shop, collectionId }) => {
+  const normalizedCollectionId = normalizeCollectionId(collectionId);
+  if (!normalizedCollectionId) return [];
+
+  return updateRuleVersions({
+    admin,
+    shop,
+    getNextRule: async (rule) => {
+      const ruleCollectionIds = getRuleCollectionIds(rule);
+      if (!ruleCollectionIds.includes(normalizedCollectionId)) return null;
+      return {
+        ...rule,
+        collection_product_ids: await fetchCollectionProductIds(admin, ruleCollectionIds),
+      };
+    },
+  });
+};
+
+export const syncProductCollectionMembership = async ({ admin, shop, productId }) => {
+  const normalizedProductId = normalizeProductId(productId);
+  if (!normalizedProductId) return [];
+
+  const hasCollectionRules = await db.rule.count({
+    where: { shop, targets: { some: { type: TARGET_TYPE_COLLECTION } } },
+  });
+  if (hasCollectionRules === 0) return [];
+
+  const productCollectionIds = new Set(await fetchProductCollectionIds(admin, normalizedProductId));
+
+  return updateRuleVersions({
+    admin,
+    shop,
+    getNextRule: async (rule) => {
+      const ruleCollectionIds = getRuleCollectionIds(rule);
+      if (ruleCollectionIds.length === 0) return null;
+
+      const memberIds = normalizeProductIds(rule.collection_product_ids);
+      const isMember = memberIds.includes(normalizedProductId);
+      const shouldBeMember = ruleCollectionIds.some((id) => productCollectionIds.has(id));
+      if (isMember === shouldBeMember) return null;
+
+      return {
+        ...rule,
+        collection_product_ids: shouldBeMember
+          ? [...memberIds, normalizedProductId]
+          : memberIds.filter((id) => id !== normalizedProductId),
+      };
+    },
+  });
+};
+
+const withoutDeletedResources = (rule, deletedIds) => {
+  const products = getRuleSelectedProductIds(rule);
+  const collectionProductIds = normalizeProductIds(rule.collection_product_ids);
+  const variants = getRuleVariantEntries(rule);
+  const nextProducts = products.filter((id) => !deletedIds.has(id));
+  const nextCollectionProductIds = collectionProductIds.filter((id) => !deletedIds.has(id));
+  const nextVariants = variants.filter(
+    (entry) => !deletedIds.has(entry.id) && !deletedIds.has(entry.product_id),
+  );
+
+  if (
+    nextProducts.length === products.length &&
+    nextCollectionProductIds.length === collectionProductIds.length &&
+    nextVariants.length === variants.length
+  ) {
+    return null;
+  }
+
+  return {
+    ...rule,
+    products: nextProducts,
+    collection_product_ids: nextCollectionProductIds,
+    variants: nextVariants,
+  };
+};
+
+// Drops a deleted product, and the variant entries that belonged to it, from every rule. A rule
+// left without products stays in place so its tiers aren't lost.
+export const pruneDeletedProduct = async ({ admin, shop, productId }) => {
+  const normalizedProductId = normalizeProductId(productId);
+  if (!normalizedProductId) return [];
+
+  const deletedIds = new Set([normalizedProductId]);
+  return updateRuleVersions({
+    admin,
+    shop,
+    getNextRule: (rule) => withoutDeletedResources(rule, deletedIds),
+    deletedResourceIds: Array.from(deletedIds),
+  });
+};
+
+// `products/update` also fires when variants are deleted, so the product's variant entries are
+// checked against the variants that still exist.
+export const pruneDeletedProductVariants = async ({ admin, shop, productId }) => {
+  const normalizedProductId = normalizeProductId(productId);
+  if (!normalizedProductId) return [];
+
+  const draftTargets = await db.ruleTarget.findMany({
+    where: { type: TARGET_TYPE_VARIANT, productId: normalizedProductId, rule: { shop } },
+    select: { resourceId: true },
+  });
+  const publishedVariantIds = (await listPublishedRules(shop))
+    .flatMap((rule) => getRuleVariantEntries(rule))
+    .filter((entry) => entry.product_id === normalizedProductId)
+    .map((entry) => entry.id);
+  const ruleVariantIds = Array.from(
+    new Set([...draftTargets.map((target) => target.resourceId), ...publishedVariantIds]),
+  );
+  if (ruleVariantIds.length === 0) return [];
+
+  const existingIds = await fetchExistingResourceIds(admin, ruleVariantIds);
+  const deletedIds = new Set(ruleVariantIds.filter((id) => !existingIds.has(id)));
+  if (deletedIds.size === 0) return [];
+
+  return updateRuleVersions({
+    admin,
+    shop,
+    getNextRule: (rule) => withoutDeletedResources(rule, deletedIds),
+    deletedResourceIds: Array.from(deletedIds),
+  });
+};
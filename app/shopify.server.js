@@ -7,13 +7,15 @@ import {
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
 import {
+  QUANTITY_BREAKS_DISCOUNT_TITLE,
   getRuleProductIds,
-  parseDiscountConfig,
-  recomputeProductDiscountProjectionMetafields,
+  getRuleVariantIds,
 } from "./quantity-breaks.server";
+import { enqueueProjectionRebuild, startProjectionJobWorker } from "./projection-jobs.server";
+import { ensureRulesImported, listPublishedRules, syncPublishedRules } from "./rules.server";
 
 const QUANTITY_BREAKS_FUNCTION_HANDLE = "quantity-breaks-discount";
-const QUANTITY_BREAKS_DISCOUNT_TITLE = "Quantity Breaks";
+const QUANTITY_BREAKS_DISCOUNT_CLASSES = ["PRODUCT", "ORDER", "SHIPPING"];
 
 const ensureQuantityBreaksMetafield = async (admin) => {
   try {
@@ -72,32 +74,21 @@ const ensureQuantityBreaksMetafield = async (admin) => {
   }
 };
 
-const refreshQuantityBreaksProductMetafields = async (admin) => {
+// Only the shop config is written during login; re-projecting every product is queued for the
+// background job runner.
+const refreshQuantityBreaksProductMetafields = async (admin, shop) => {
   try {
-    const response = await admin.graphql(
-      `#graphql
-        query QuantityBreaksRefreshProductMetafields {
-          shop {
-            metafield(namespace: "quantity_breaks", key: "discounts") {
-              value
-            }
-          }
-        }
-      `,
-    );
-
-    const json = await response.json();
-    const config = parseDiscountConfig(json.data?.shop?.metafield?.value);
-    const affectedProductIds = Array.from(
-      new Set(
-        (config.discounts || []).flatMap((discount) => getRuleProductIds(discount)),
-      ),
-    );
+    await ensureRulesImported(admin, shop);
+    const configErrors = await syncPublishedRules({ admin, shop });
+    if (configErrors.length > 0) {
+      console.error("afterAuth quantity breaks config sync failed", configErrors);
+    }
 
-    await recomputeProductDiscountProjectionMetafields({
-      admin,
-      discounts: config.discounts || [],
-      affectedProductIds,
+    const discounts = await listPublishedRules(shop);
+    await enqueueProjectionRebuild({
+      shop,
+      productIds: discounts.flatMap((discount) => getRuleProductIds(discount)),
+      variantIds: discounts.flatMap((discount) => getRuleVariantIds(discount)),
     });
   } catch (error) {
     console.error("afterAuth quantity breaks product projection refresh failed", error);
@@ -116,6 +107,7 @@ const ensureQuantityBreaksAutomaticAppDiscount = async (admin) => {
               ... on DiscountAutomaticApp {
                 title
                 status
+                discountClasses
               }
             }
           }
@@ -134,12 +126,54 @@ const ensureQuantityBreaksAutomaticAppDiscount = async (admin) => {
     }
 
     const nodes = checkJson?.data?.discountNodes?.nodes ?? [];
-    const exists = nodes.some(
+    const existingNode = nodes.find(
       (node) => node.discount?.title === QUANTITY_BREAKS_DISCOUNT_TITLE,
     );
 
-    if (exists) {
-      console.log("Quantity Breaks automatic discount already exists.");
+    if (existingNode) {
+      const discountClasses = existingNode.discount?.discountClasses ?? [];
+      const missingClasses = QUANTITY_BREAKS_DISCOUNT_CLASSES.filter(
+        (discountClass) => !discountClasses.includes(discountClass),
+      );
+
+      if (missingClasses.length === 0) {
+        console.log("Quantity Breaks automatic discount already exists.");
+        return;
+      }
+
+      const updateRes = await admin.graphql(
+        `#graphql
+          mutation discountAutomaticAppUpdate(
+            $id: ID!
+            $automaticAppDiscount: DiscountAutomaticAppInput!
+          ) {
+            discountAutomaticAppUpdate(id: $id, automaticAppDiscount: $automaticAppDiscount) {
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `,
+        {
+          variables: {
+            id: existingNode.id,
+            automaticAppDiscount: {
+              discountClasses: Array.from(
+                new Set([...discountClasses, ...QUANTITY_BREAKS_DISCOUNT_CLASSES]),
+              ),
+            },
+          },
+        },
+      );
+      const updateJson = await updateRes.json();
+      const updateErrors = updateJson.data?.discountAutomaticAppUpdate?.userErrors ?? [];
+      if (updateErrors.length > 0) {
+        console.error(
+          "Failed to update Quantity Breaks automatic discount classes (userErrors):",
+          updateErrors,
+        );
+      }
       return;
     }
 
@@ -164,7 +198,7 @@ const ensureQuantityBreaksAutomaticAppDiscount = async (admin) => {
     const automaticAppDiscount = {
       title: QUANTITY_BREAKS_DISCOUNT_TITLE,
       functionHandle: QUANTITY_BREAKS_FUNCTION_HANDLE,
-      discountClasses: ["PRODUCT"],
+      discountClasses: QUANTITY_BREAKS_DISCOUNT_CLASSES,
       startsAt: new Date(Date.now() + 5000).toISOString(),
       combinesWith: {
         productDiscounts: true,
@@ -224,10 +258,10 @@ const shopify = shopifyApp({
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
   hooks: {
-    afterAuth: async ({ admin }) => {
+    afterAuth: async ({ admin, session }) => {
       await ensureQuantityBreaksMetafield(admin);
-      await refreshQuantityBreaksProductMetafields(admin);
       await ensureQuantityBreaksAutomaticAppDiscount(admin);
+      await refreshQuantityBreaksProductMetafields(admin, session.shop);
     },
   },
   future: {
@@ -238,6 +272,12 @@ const shopify = shopifyApp({
     : {}),
 });
 
+// Vercel freezes instances between requests, so a poller there would only advance while traffic
+// keeps one warm; the cron in vercel.json runs the queue through `/jobs/projections` instead.
+if (!process.env.VERCEL) {
+  startProjectionJobWorker({ getAdmin: (shop) => shopify.unauthenticated.admin(shop) });
+}
+
 export default shopify;
 export const apiVersion = ApiVersion.October25;
 export const addDocumentResponseHeaders = shopify.addDocumentResponseHeaders;
@@ -2,6 +2,13 @@ import {
   DeliveryDiscountSelectionStrategy,
   DiscountClass,
 } from "../generated/api";
+import {
+  TARGET_SHIPPING,
+  parseBuyer,
+  parseLocalization,
+  parseScheduleDate,
+  parseTierGroups,
+} from "./quantity_breaks";
 
 /**
   * @typedef {import("../generated/api").DeliveryInput} RunInput
@@ -14,8 +21,7 @@ import {
   */
 
 export function cartDeliveryOptionsDiscountsGenerateRun(input) {
-  const firstDeliveryGroup = input.cart.deliveryGroups[0];
-  if (!firstDeliveryGroup) {
+  if (!input.cart.deliveryGroups.length) {
     return {operations: []};
   }
 
@@ -27,30 +33,95 @@ export function cartDeliveryOptionsDiscountsGenerateRun(input) {
     return {operations: []};
   }
 
+  const today = parseScheduleDate(input.shop?.localTime?.date);
+  const buyer = parseBuyer(input.cart.buyerIdentity);
+  const localization = parseLocalization(input.localization);
+  const seenLineIds = new Set();
+  const buckets = new Map();
+
+  for (const deliveryGroup of input.cart.deliveryGroups) {
+    for (const line of deliveryGroup.cartLines || []) {
+      const merchandise = line.merchandise;
+      if (merchandise?.__typename !== "ProductVariant") continue;
+
+      const variantGroups = merchandise.quantityBreaks?.jsonValue;
+      const groups = parseTierGroups(
+        Array.isArray(variantGroups) ? variantGroups : merchandise.product?.quantityBreaks?.jsonValue,
+        today,
+        buyer,
+        localization,
+      );
+
+      for (const group of groups) {
+        if (group.target !== TARGET_SHIPPING) continue;
+
+        const bucket = buckets.get(group.key) || {
+          quantity: 0,
+          tiers: group.tiers,
+          deliveryGroupIds: new Set(),
+        };
+
+        // A line split across delivery groups still only counts once.
+        if (!seenLineIds.has(`${group.key}|${line.id}`)) {
+          bucket.quantity += line.quantity || 0;
+          seenLineIds.add(`${group.key}|${line.id}`);
+        }
+        bucket.deliveryGroupIds.add(deliveryGroup.id);
+        buckets.set(group.key, bucket);
+      }
+    }
+  }
+
+  const bestByDeliveryGroupId = new Map();
+
+  for (const bucket of buckets.values()) {
+    const eligibleTiers = bucket.tiers.filter((tier) => bucket.quantity >= tier.minQuantity);
+    if (!eligibleTiers.length) continue;
+
+    const eligibleTier = eligibleTiers.reduce((best, tier) =>
+      tier.percentOff > best.percentOff ? tier : best,
+    );
+
+    for (const deliveryGroupId of bucket.deliveryGroupIds) {
+      const existing = bestByDeliveryGroupId.get(deliveryGroupId);
+      if (existing && existing.percentOff >= eligibleTier.percentOff) continue;
+      bestByDeliveryGroupId.set(deliveryGroupId, eligibleTier);
+    }
+  }
+
+  const candidates = input.cart.deliveryGroups
+    .filter((deliveryGroup) => bestByDeliveryGroupId.has(deliveryGroup.id))
+    .map((deliveryGroup) => {
+      const tier = bestByDeliveryGroupId.get(deliveryGroup.id);
+      return {
+        message: tier.title,
+        targets: [
+          {
+            deliveryGroup: {
+              id: deliveryGroup.id,
+            },
+          },
+        ],
+        value: {
+          percentage: {
+            value: tier.percentOff,
+          },
+        },
+      };
+    });
+
+  if (!candidates.length) {
+    return {operations: []};
+  }
+
   return {
     operations: [
       {
         deliveryDiscountsAdd: {
-          candidates: [
-            {
-              message: "FREE DELIVERY",
-              targets: [
-                {
-                  deliveryGroup: {
-                    id: firstDeliveryGroup.id,
-                  },
-                },
-              ],
-              value: {
-                percentage: {
-                  value: 100,
-                },
-              },
-            },
-          ],
+          candidates,
           selectionStrategy: DeliveryDiscountSelectionStrategy.All,
         },
       },
     ],
   };
-}
\ No newline at end of file
+}
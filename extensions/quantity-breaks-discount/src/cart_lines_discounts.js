@@ -0,0 +1,475 @@
+// Tier selection for the cart line target. It has no dependency on the generated
+// API types, so the admin cart simulator runs exactly the code checkout runs.
+
+import {
+  BXGY_REWARD_SAME_ITEM,
+  CONFLICT_PRIORITY,
+  CONFLICT_STACK,
+  PRICING_GRADUATED,
+  TARGET_BXGY,
+  TARGET_ORDER,
+  TARGET_PRODUCT,
+  THRESHOLD_SUBTOTAL,
+  TIER_TYPE_FIXED_AMOUNT,
+  TIER_TYPE_FIXED_UNIT_PRICE,
+  TIER_TYPE_PERCENTAGE,
+  getBucketScopeId,
+  parseBuyer,
+  parseConflictSettings,
+  parseDecimal,
+  parseLocalization,
+  parseScheduleDate,
+  parseTierGroups,
+  roundMoney,
+} from './quantity_breaks';
+
+const getUnitDiscountAmount = (tier, unitAmount, currencyRate) => {
+  if (tier.type === TIER_TYPE_FIXED_AMOUNT) {
+    return Math.min(tier.amountOff * currencyRate, unitAmount);
+  }
+  if (tier.type === TIER_TYPE_FIXED_UNIT_PRICE) {
+    return Math.max(unitAmount - tier.unitPrice * currencyRate, 0);
+  }
+  return (unitAmount * tier.percentOff) / 100;
+};
+
+const buildCandidateValue = (tier, unitAmount, currencyRate) => {
+  if (tier.type === TIER_TYPE_PERCENTAGE) {
+    return {
+      percentage: {
+        value: tier.percentOff,
+      },
+    };
+  }
+
+  const amount = roundMoney(getUnitDiscountAmount(tier, unitAmount, currencyRate));
+  if (amount <= 0) return null;
+
+  return {
+    fixedAmount: {
+      amount,
+      appliesToEachItem: true,
+    },
+  };
+};
+
+// Graduated pricing discounts each bracket of units at its own tier, like tax
+// brackets. The bucket's bracket mix is blended into one amount per line so
+// lines that share a mix-and-match bucket split it by their own unit price.
+const buildGraduatedCandidate = (tiers, bucketQuantity, line, currencyRate) => {
+  const unitAmount = parseDecimal(line.cost?.amountPerQuantity?.amount);
+  const minQuantities = Array.from(new Set(tiers.map((tier) => tier.minQuantity)))
+    .filter((minQuantity) => minQuantity <= bucketQuantity)
+    .sort((left, right) => left - right);
+  if (!minQuantities.length) return null;
+
+  let bucketDiscount = 0;
+  let topTier = null;
+  minQuantities.forEach((minQuantity, index) => {
+    const bracketEnd = index + 1 < minQuantities.length
+      ? minQuantities[index + 1] - 1
+      : bucketQuantity;
+    const bracketTier = tiers
+      .filter((tier) => tier.minQuantity === minQuantity)
+      .reduce((best, tier) =>
+        getUnitDiscountAmount(tier, unitAmount, currencyRate) >
+        getUnitDiscountAmount(best, unitAmount, currencyRate)
+          ? tier
+          : best,
+      );
+    bucketDiscount +=
+      getUnitDiscountAmount(bracketTier, unitAmount, currencyRate) * (bracketEnd - minQuantity + 1);
+    topTier = bracketTier;
+  });
+
+  const amount = roundMoney((bucketDiscount / bucketQuantity) * (line.quantity || 0));
+  if (amount <= 0) return null;
+
+  return {
+    line,
+    amount,
+    candidate: {
+      message: topTier.title,
+      targets: [
+        {
+          cartLine: {
+            id: line.id,
+          },
+        },
+      ],
+      value: {
+        fixedAmount: {
+          amount,
+          appliesToEachItem: false,
+        },
+      },
+    },
+  };
+};
+
+const getOrderDiscountAmount = (tier, subtotal, currencyRate) => {
+  if (tier.type === TIER_TYPE_FIXED_AMOUNT) {
+    return Math.min(tier.amountOff * currencyRate, subtotal);
+  }
+  return (subtotal * tier.percentOff) / 100;
+};
+
+const buildOrderCandidate = (bucket, lines, currencyRate) => {
+  const {group} = bucket;
+  const eligibleTiers = group.tiers.filter((tier) =>
+    group.threshold === THRESHOLD_SUBTOTAL
+      ? bucket.subtotal >= tier.minimum * currencyRate
+      : bucket.quantity >= tier.minimum,
+  );
+  if (!eligibleTiers.length) return null;
+
+  const topMinimum = Math.max(...eligibleTiers.map((tier) => tier.minimum));
+  const eligibleTier = eligibleTiers
+    .filter((tier) => tier.minimum === topMinimum)
+    .reduce((best, tier) =>
+      getOrderDiscountAmount(tier, bucket.subtotal, currencyRate) >
+      getOrderDiscountAmount(best, bucket.subtotal, currencyRate)
+        ? tier
+        : best,
+    );
+
+  const value = eligibleTier.type === TIER_TYPE_PERCENTAGE
+    ? {percentage: {value: eligibleTier.percentOff}}
+    : {fixedAmount: {amount: roundMoney(getOrderDiscountAmount(eligibleTier, bucket.subtotal, currencyRate))}};
+
+  return {
+    message: eligibleTier.title,
+    targets: [
+      {
+        orderSubtotal: {
+          excludedCartLineIds: lines
+            .filter((line) => !bucket.lineIds.has(line.id))
+            .map((line) => line.id),
+        },
+      },
+    ],
+    value,
+  };
+};
+
+// Free units go to the cheapest units in the bucket first, so the buyer pays
+// for the more expensive items they "bought".
+const allocateFreeUnits = (entries, offer) => {
+  const bundleSize = offer.buyQuantity + offer.getQuantity;
+  const quantity = entries.reduce((sum, {line}) => sum + (line.quantity || 0), 0);
+  let remainingUnits = Math.floor(quantity / bundleSize) * offer.getQuantity;
+  const allocations = [];
+
+  const sortedEntries = [...entries].sort(
+    (left, right) =>
+      parseDecimal(left.line.cost?.amountPerQuantity?.amount) -
+      parseDecimal(right.line.cost?.amountPerQuantity?.amount),
+  );
+
+  for (const {line} of sortedEntries) {
+    if (remainingUnits <= 0) break;
+    const lineQuantity = Math.min(remainingUnits, line.quantity || 0);
+    if (lineQuantity <= 0) continue;
+    allocations.push({line, quantity: lineQuantity});
+    remainingUnits -= lineQuantity;
+  }
+
+  return allocations;
+};
+
+const groupEntriesByVariant = (entries) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const variantId = entry.line.merchandise?.id;
+    groups.set(variantId, [...(groups.get(variantId) || []), entry]);
+  }
+  return [...groups.values()];
+};
+
+// Same-item offers only reward more of the variant that was bought, so each
+// variant in the bucket is bundled on its own.
+const allocateBxgyUnits = (bucket) => {
+  const [offer] = bucket.tiers;
+  const groups = offer.reward === BXGY_REWARD_SAME_ITEM
+    ? groupEntriesByVariant(bucket.entries)
+    : [bucket.entries];
+  const allocations = groups.flatMap((entries) => allocateFreeUnits(entries, offer));
+
+  return allocations.map(({line, quantity}) => ({
+    line,
+    amount: (parseDecimal(line.cost?.amountPerQuantity?.amount) * quantity * offer.percentOff) / 100,
+    candidate: {
+      message: offer.title,
+      targets: [
+        {
+          cartLine: {
+            id: line.id,
+            quantity,
+          },
+        },
+      ],
+      value: {
+        percentage: {
+          value: offer.percentOff,
+        },
+      },
+    },
+  }));
+};
+
+// A capped entry no longer matches its tier's value, so it becomes a fixed amount
+// off the units it discounts.
+const toFixedAmountCandidate = (candidate, amount) => ({
+  ...candidate,
+  value: {
+    fixedAmount: {
+      amount: roundMoney(amount),
+      appliesToEachItem: false,
+    },
+  },
+});
+
+const applyLineCap = (entry, currencyRate) => {
+  const maxLineAmount = entry.caps.maxLineAmount * currencyRate;
+  if (!maxLineAmount || entry.amount <= maxLineAmount) return entry;
+  return {...entry, amount: maxLineAmount, capped: true};
+};
+
+// Rule-wide caps are spent in cart line order, only by entries that won their line.
+const applyRuleCaps = (entry, usageByRuleId, currencyRate) => {
+  const {maxRuleAmount, maxUnits} = entry.caps;
+  if (!maxRuleAmount && !maxUnits) return entry;
+
+  const usage = usageByRuleId.get(entry.ruleId) || {amount: 0, units: 0};
+  let {amount, capped} = entry;
+
+  if (maxUnits) {
+    const units = Math.min(entry.quantity, Math.max(maxUnits - usage.units, 0));
+    if (units < entry.quantity) {
+      amount = entry.quantity ? (amount * units) / entry.quantity : 0;
+      capped = true;
+    }
+    usage.units += units;
+  }
+
+  if (maxRuleAmount) {
+    const remaining = Math.max(maxRuleAmount * currencyRate - usage.amount, 0);
+    if (amount > remaining) {
+      amount = remaining;
+      capped = true;
+    }
+    usage.amount += amount;
+  }
+
+  usageByRuleId.set(entry.ruleId, usage);
+  return {...entry, amount, capped};
+};
+
+// When several rules discount the same line, the shop's conflict strategy picks
+// the best discount, the highest-priority rule, or stacks them up to a cap.
+const selectLineEntries = (entries, conflictSettings) => {
+  if (conflictSettings.strategy === CONFLICT_STACK) return entries;
+
+  return [
+    entries.reduce((best, entry) => {
+      if (conflictSettings.strategy === CONFLICT_PRIORITY && entry.priority !== best.priority) {
+        return entry.priority > best.priority ? entry : best;
+      }
+      return entry.amount > best.amount ? entry : best;
+    }),
+  ];
+};
+
+const buildLineCandidate = (entries, conflictSettings) => {
+  const [{line}] = entries;
+  const stackCap = conflictSettings.strategy === CONFLICT_STACK
+    ? (parseDecimal(line.cost?.subtotalAmount?.amount) * conflictSettings.stackCap) / 100
+    : Infinity;
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+  if (entries.length === 1 && total <= stackCap) {
+    const [entry] = entries;
+    if (!entry.capped) return entry.candidate;
+    return roundMoney(entry.amount) > 0 ? toFixedAmountCandidate(entry.candidate, entry.amount) : null;
+  }
+
+  const amount = roundMoney(Math.min(total, stackCap));
+  if (amount <= 0) return null;
+
+  return {
+    message: Array.from(new Set(entries.map((entry) => entry.candidate.message))).join(" + "),
+    targets: [
+      {
+        cartLine: {
+          id: line.id,
+        },
+      },
+    ],
+    value: {
+      fixedAmount: {
+        amount,
+        appliesToEachItem: false,
+      },
+    },
+  };
+};
+
+/**
+  * Picks the tier that applies to each cart line and to the order, returning the
+  * candidates before they are filtered by the discount's classes.
+  * @param {import("../generated/api").CartInput} input
+  */
+export const selectCartLinesDiscounts = (input) => {
+  const today = parseScheduleDate(input.shop?.localTime?.date);
+  const buyer = parseBuyer(input.cart.buyerIdentity);
+  const localization = parseLocalization(input.localization);
+  const storeWideOrderGroups = parseTierGroups(
+    input.discount.orderDiscounts?.jsonValue,
+    today,
+    buyer,
+    localization,
+  ).filter((group) => group.target === TARGET_ORDER);
+  const buckets = new Map();
+  const orderBuckets = new Map();
+
+  const addToOrderBucket = (group, line) => {
+    const bucket = orderBuckets.get(group.key) || {
+      group,
+      quantity: 0,
+      subtotal: 0,
+      lineIds: new Set(),
+    };
+
+    bucket.quantity += line.quantity || 0;
+    bucket.subtotal += parseDecimal(line.cost?.subtotalAmount?.amount);
+    bucket.lineIds.add(line.id);
+    orderBuckets.set(group.key, bucket);
+  };
+
+  for (const line of input.cart.lines) {
+    for (const group of storeWideOrderGroups) {
+      addToOrderBucket(group, line);
+    }
+
+    const merchandise = line.merchandise;
+    if (merchandise?.__typename !== "ProductVariant") continue;
+
+    // A variant-level projection exists only when a rule targets the variant
+    // directly, and then it replaces the product-level one entirely.
+    const variantGroups = merchandise.quantityBreaks?.jsonValue;
+    const groups = parseTierGroups(
+      Array.isArray(variantGroups) ? variantGroups : merchandise.product?.quantityBreaks?.jsonValue,
+      today,
+      buyer,
+      localization,
+    );
+
+    for (const group of groups) {
+      if (group.target === TARGET_ORDER) {
+        addToOrderBucket(group, line);
+        continue;
+      }
+      if (group.target !== TARGET_PRODUCT && group.target !== TARGET_BXGY) continue;
+      const bucketKey = `${group.key}|${getBucketScopeId(group, merchandise)}`;
+      const bucket = buckets.get(bucketKey) || {
+        target: group.target,
+        pricing: group.pricing,
+        priority: group.priority,
+        ruleId: group.ruleId,
+        caps: group.caps,
+        tiers: group.tiers,
+        quantity: 0,
+        entries: [],
+      };
+
+      bucket.quantity += line.quantity || 0;
+      bucket.entries.push({line, tiers: group.tiers});
+      buckets.set(bucketKey, bucket);
+    }
+  }
+
+  const currencyRate = parseDecimal(input.presentmentCurrencyRate) || 1;
+  const conflictSettings = parseConflictSettings(input.discount.settings?.jsonValue);
+  const entriesByLineId = new Map();
+
+  for (const bucket of buckets.values()) {
+    const addLineCandidate = ({line, amount, candidate}) => {
+      const entries = entriesByLineId.get(line.id) || [];
+      entries.push(applyLineCap({
+        line,
+        amount,
+        candidate,
+        quantity: candidate.targets[0].cartLine.quantity ?? (line.quantity || 0),
+        priority: bucket.priority,
+        ruleId: bucket.ruleId,
+        caps: bucket.caps,
+        capped: false,
+      }, currencyRate));
+      entriesByLineId.set(line.id, entries);
+    };
+
+    if (bucket.target === TARGET_BXGY) {
+      allocateBxgyUnits(bucket).forEach(addLineCandidate);
+      continue;
+    }
+
+    for (const {line, tiers} of bucket.entries) {
+      if (bucket.pricing === PRICING_GRADUATED) {
+        const graduated = buildGraduatedCandidate(tiers, bucket.quantity, line, currencyRate);
+        if (graduated) addLineCandidate(graduated);
+        continue;
+      }
+
+      const eligibleTiers = tiers.filter((tier) => bucket.quantity >= tier.minQuantity);
+      if (!eligibleTiers.length) continue;
+
+      const topMinQuantity = Math.max(...eligibleTiers.map((tier) => tier.minQuantity));
+      const topTiers = eligibleTiers.filter((tier) => tier.minQuantity === topMinQuantity);
+      const unitAmount = parseDecimal(line.cost?.amountPerQuantity?.amount);
+      const eligibleTier = topTiers.reduce((best, tier) =>
+        getUnitDiscountAmount(tier, unitAmount, currencyRate) >
+        getUnitDiscountAmount(best, unitAmount, currencyRate)
+          ? tier
+          : best,
+      );
+      const value = buildCandidateValue(eligibleTier, unitAmount, currencyRate);
+      if (!value) continue;
+
+      addLineCandidate({
+        line,
+        amount: eligibleTier.type === TIER_TYPE_PERCENTAGE
+          ? (parseDecimal(line.cost?.subtotalAmount?.amount) * eligibleTier.percentOff) / 100
+          : getUnitDiscountAmount(eligibleTier, unitAmount, currencyRate) * (line.quantity || 0),
+        candidate: {
+          message: eligibleTier.title,
+          targets: [
+            {
+              cartLine: {
+                id: line.id,
+              },
+            },
+          ],
+          value,
+        },
+      });
+    }
+  }
+
+  const orderCandidates = Array.from(orderBuckets.values())
+    .map((bucket) => buildOrderCandidate(bucket, input.cart.lines, currencyRate))
+    .filter(Boolean);
+
+  const usageByRuleId = new Map();
+  const productCandidates = input.cart.lines
+    .filter((line) => entriesByLineId.has(line.id))
+    .map((line) =>
+      buildLineCandidate(
+        selectLineEntries(entriesByLineId.get(line.id), conflictSettings)
+          .map((entry) => applyRuleCaps(entry, usageByRuleId, currencyRate)),
+        conflictSettings,
+      ),
+    )
+    .filter(Boolean);
+
+  return {orderCandidates, productCandidates};
+};
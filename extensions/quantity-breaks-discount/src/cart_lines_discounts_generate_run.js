@@ -1,8 +1,9 @@
 import {
   DiscountClass,
+  OrderDiscountSelectionStrategy,
   ProductDiscountSelectionStrategy,
 } from '../generated/api';
-
+import {selectCartLinesDiscounts} from './cart_lines_discounts';
 
 /**
   * @typedef {import("../generated/api").CartInput} RunInput
@@ -22,92 +23,34 @@ export function cartLinesDiscountsGenerateRun(input) {
   const hasProductDiscountClass = input.discount.discountClasses.includes(
     DiscountClass.Product,
   );
+  const hasOrderDiscountClass = input.discount.discountClasses.includes(
+    DiscountClass.Order,
+  );
 
-  if (!hasProductDiscountClass) {
+  if (!hasProductDiscountClass && !hasOrderDiscountClass) {
     return {operations: []};
   }
 
-  const variantBuckets = new Map();
-
-  for (const line of input.cart.lines) {
-    const merchandise = line.merchandise;
-    if (merchandise?.__typename !== "ProductVariant") continue;
-
-    const variantId = merchandise.id;
-    const rawTiers = merchandise.product?.quantityBreaks?.jsonValue;
-    const tiers = Array.isArray(rawTiers)
-      ? rawTiers
-          .map((tier) => {
-            const title = String(tier?.title || "").trim();
-            const minQuantity = Number.parseInt(String(tier?.min_quantity ?? "").trim(), 10);
-            const percentOff = Number.parseFloat(String(tier?.percent_off ?? "").trim());
-
-            if (!title) return null;
-            if (!Number.isInteger(minQuantity) || minQuantity <= 0) return null;
-            if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+  const {orderCandidates, productCandidates} = selectCartLinesDiscounts(input);
+  const operations = [];
 
-            return {
-              title,
-              minQuantity,
-              percentOff,
-            };
-          })
-          .filter(Boolean)
-      : [];
-
-    if (!tiers.length) continue;
-
-    const bucket = variantBuckets.get(variantId) || {
-      quantity: 0,
-      lines: [],
-      tiers,
-    };
-
-    bucket.quantity += line.quantity || 0;
-    bucket.lines.push(line);
-    variantBuckets.set(variantId, bucket);
-  }
-
-  const candidates = [];
-
-  for (const bucket of variantBuckets.values()) {
-    const eligibleTier = bucket.tiers
-      .filter((tier) => bucket.quantity >= tier.minQuantity)
-      .sort((left, right) => right.minQuantity - left.minQuantity)[0];
-
-    if (!eligibleTier) continue;
-
-    for (const line of bucket.lines) {
-      candidates.push({
-        message: eligibleTier.title,
-        targets: [
-          {
-            cartLine: {
-              id: line.id,
-            },
-          },
-        ],
-        value: {
-          percentage: {
-            value: eligibleTier.percentOff,
-          },
-        },
-      });
-    }
+  if (hasOrderDiscountClass && orderCandidates.length) {
+    operations.push({
+      orderDiscountsAdd: {
+        candidates: orderCandidates,
+        selectionStrategy: OrderDiscountSelectionStrategy.Maximum,
+      },
+    });
   }
 
-  if (!candidates.length) {
-    return {operations: []};
+  if (hasProductDiscountClass && productCandidates.length) {
+    operations.push({
+      productDiscountsAdd: {
+        candidates: productCandidates,
+        selectionStrategy: ProductDiscountSelectionStrategy.All,
+      },
+    });
   }
 
-  return {
-    operations: [
-      {
-        productDiscountsAdd: {
-          candidates,
-          selectionStrategy: ProductDiscountSelectionStrategy.All,
-        },
-      },
-    ],
-  };
+  return {operations};
 }
@@ -1 +1,2 @@
 export * from './cart_lines_discounts_generate_run';
+export * from './cart_delivery_options_discounts_generate_run';
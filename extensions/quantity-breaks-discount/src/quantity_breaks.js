@@ -0,0 +1,267 @@
+// Tier group parsing shared by the cart line and delivery option targets.
+
+export const TIER_TYPE_PERCENTAGE = "percentage";
+export const TIER_TYPE_FIXED_AMOUNT = "fixed_amount";
+export const TIER_TYPE_FIXED_UNIT_PRICE = "fixed_unit_price";
+
+const COUNT_BY_VARIANT = "variant";
+const COUNT_BY_PRODUCT = "product";
+const COUNT_BY_RULE = "rule";
+
+export const TARGET_PRODUCT = "product";
+export const TARGET_SHIPPING = "shipping";
+export const TARGET_ORDER = "order";
+export const TARGET_BXGY = "bxgy";
+
+export const BXGY_REWARD_CHEAPEST = "cheapest";
+export const BXGY_REWARD_SAME_ITEM = "same_item";
+
+export const PRICING_ALL_UNITS = "all_units";
+export const PRICING_GRADUATED = "graduated";
+
+export const CONFLICT_BEST_DISCOUNT = "best_discount";
+export const CONFLICT_PRIORITY = "priority";
+export const CONFLICT_STACK = "stack";
+
+export const THRESHOLD_QUANTITY = "quantity";
+export const THRESHOLD_SUBTOTAL = "subtotal";
+
+const BUYER_ALL = "all";
+const BUYER_B2B = "b2b";
+const BUYER_RETAIL = "retail";
+
+export const parseDecimal = (value) => {
+  const parsed = Number.parseFloat(String(value ?? "").trim());
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const parseTier = (tier) => {
+  const title = String(tier?.title || "").trim();
+  const minQuantity = Number.parseInt(String(tier?.min_quantity ?? "").trim(), 10);
+  const type = String(tier?.type || TIER_TYPE_PERCENTAGE).trim();
+
+  if (!title) return null;
+  if (!Number.isInteger(minQuantity) || minQuantity <= 0) return null;
+
+  if (type === TIER_TYPE_FIXED_AMOUNT) {
+    const amountOff = Number.parseFloat(String(tier?.amount_off ?? "").trim());
+    if (!Number.isFinite(amountOff) || amountOff <= 0) return null;
+    return {title, minQuantity, type, amountOff};
+  }
+
+  if (type === TIER_TYPE_FIXED_UNIT_PRICE) {
+    const unitPrice = Number.parseFloat(String(tier?.unit_price ?? "").trim());
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return null;
+    return {title, minQuantity, type, unitPrice};
+  }
+
+  if (type !== TIER_TYPE_PERCENTAGE) return null;
+
+  const percentOff = Number.parseFloat(String(tier?.percent_off ?? "").trim());
+  if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+  return {title, minQuantity, type, percentOff};
+};
+
+const parseTiers = (rawTiers) =>
+  Array.isArray(rawTiers) ? rawTiers.map(parseTier).filter(Boolean) : [];
+
+// Order tiers keep their threshold in `minimum`: an item count or a subtotal.
+const parseOrderTier = (tier, threshold) => {
+  const title = String(tier?.title || "").trim();
+  const type = String(tier?.type || TIER_TYPE_PERCENTAGE).trim();
+  const minimum = threshold === THRESHOLD_SUBTOTAL
+    ? Number.parseFloat(String(tier?.min_subtotal ?? "").trim())
+    : Number.parseInt(String(tier?.min_quantity ?? "").trim(), 10);
+
+  if (!title) return null;
+  if (!Number.isFinite(minimum) || minimum <= 0) return null;
+
+  if (type === TIER_TYPE_FIXED_AMOUNT) {
+    const amountOff = Number.parseFloat(String(tier?.amount_off ?? "").trim());
+    if (!Number.isFinite(amountOff) || amountOff <= 0) return null;
+    return {title, minimum, type, amountOff};
+  }
+
+  if (type !== TIER_TYPE_PERCENTAGE) return null;
+
+  const percentOff = Number.parseFloat(String(tier?.percent_off ?? "").trim());
+  if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+  return {title, minimum, type, percentOff};
+};
+
+const parseOrderTiers = (rawTiers, threshold) =>
+  Array.isArray(rawTiers)
+    ? rawTiers.map((tier) => parseOrderTier(tier, threshold)).filter(Boolean)
+    : [];
+
+const parseBxgyOffer = (offer) => {
+  const title = String(offer?.title || "").trim();
+  const buyQuantity = Number.parseInt(String(offer?.buy_quantity ?? "").trim(), 10);
+  const getQuantity = Number.parseInt(String(offer?.get_quantity ?? "").trim(), 10);
+  const percentOff = Number.parseFloat(String(offer?.percent_off ?? "").trim());
+
+  if (!title) return null;
+  if (!Number.isInteger(buyQuantity) || buyQuantity <= 0) return null;
+  if (!Number.isInteger(getQuantity) || getQuantity <= 0) return null;
+  if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff > 100) return null;
+
+  const reward = offer?.reward === BXGY_REWARD_SAME_ITEM ? BXGY_REWARD_SAME_ITEM : BXGY_REWARD_CHEAPEST;
+  return {title, buyQuantity, getQuantity, percentOff, reward};
+};
+
+export const parseConflictSettings = (settings) => {
+  const strategy = [CONFLICT_PRIORITY, CONFLICT_STACK].includes(settings?.conflict_strategy)
+    ? settings.conflict_strategy
+    : CONFLICT_BEST_DISCOUNT;
+  const stackCap = Number.parseFloat(String(settings?.stack_cap ?? "").trim());
+  return {
+    strategy,
+    stackCap: Number.isFinite(stackCap) && stackCap > 0 && stackCap <= 100 ? stackCap : 100,
+  };
+};
+
+// Caps are optional; zero means the rule has no limit of that kind.
+const parseCaps = (caps) => {
+  const maxLineAmount = Number.parseFloat(String(caps?.max_line_amount ?? "").trim());
+  const maxRuleAmount = Number.parseFloat(String(caps?.max_rule_amount ?? "").trim());
+  const maxUnits = Number.parseInt(String(caps?.max_units ?? "").trim(), 10);
+  return {
+    maxLineAmount: Number.isFinite(maxLineAmount) && maxLineAmount > 0 ? maxLineAmount : 0,
+    maxRuleAmount: Number.isFinite(maxRuleAmount) && maxRuleAmount > 0 ? maxRuleAmount : 0,
+    maxUnits: Number.isInteger(maxUnits) && maxUnits > 0 ? maxUnits : 0,
+  };
+};
+
+export const parseScheduleDate = (value) => {
+  const date = String(value || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : "";
+};
+
+const isGroupScheduled = (group, today) => {
+  if (!today) return true;
+  if (group.startsAt && today < group.startsAt) return false;
+  if (group.endsAt && today > group.endsAt) return false;
+  return true;
+};
+
+export const parseBuyer = (buyerIdentity) => ({
+  isB2B: Boolean(buyerIdentity?.purchasingCompany?.company?.id),
+  customerTags: new Set(
+    (buyerIdentity?.customer?.hasTags || [])
+      .filter((response) => response?.hasTag)
+      .map((response) => String(response.tag || "").trim().toLowerCase()),
+  ),
+});
+
+const isGroupEligible = (group, buyer) => {
+  if (group.buyer === BUYER_B2B && !buyer.isB2B) return false;
+  if (group.buyer === BUYER_RETAIL && buyer.isB2B) return false;
+  if (group.customerTags.length && !group.customerTags.some((tag) => buyer.customerTags.has(tag))) {
+    return false;
+  }
+  return true;
+};
+
+const parseMarketTierSets = (rawMarketTiers) =>
+  (Array.isArray(rawMarketTiers) ? rawMarketTiers : [])
+    .map((entry) => ({
+      market: String(entry?.market || "").trim().toLowerCase(),
+      country: String(entry?.country || "").trim().toUpperCase(),
+      tiers: parseTiers(entry?.tiers),
+    }))
+    .filter((entry) => (entry.market || entry.country) && entry.tiers.length);
+
+const getMarketTierSetKey = (entry) =>
+  entry.market ? `market:${entry.market}` : `country:${entry.country}`;
+
+// A country's tiers win over its market's tiers, which win over the defaults.
+const selectMarketTiers = (tiers, marketTierSets, localization) =>
+  marketTierSets.find((entry) => entry.country && entry.country === localization.country)?.tiers ||
+  marketTierSets.find((entry) => entry.market && entry.market === localization.market)?.tiers ||
+  tiers;
+
+export const parseLocalization = (localization) => ({
+  country: String(localization?.country?.isoCode || "").toUpperCase(),
+  market: String(localization?.market?.handle || "").toLowerCase(),
+});
+
+export const parseTierGroups = (rawGroups, today, buyer, localization) => {
+  if (!Array.isArray(rawGroups)) return [];
+
+  // Products projected before tier groups existed hold a flat list of tiers.
+  if (rawGroups.some((group) => !Array.isArray(group?.tiers))) {
+    const tiers = parseTiers(rawGroups);
+    return tiers.length
+      ? [{
+        key: COUNT_BY_VARIANT,
+        target: TARGET_PRODUCT,
+        countBy: COUNT_BY_VARIANT,
+        pricing: PRICING_ALL_UNITS,
+        priority: 0,
+        caps: parseCaps(null),
+        tiers,
+      }]
+      : [];
+  }
+
+  return rawGroups
+    .map((group) => {
+      const countBy = [COUNT_BY_PRODUCT, COUNT_BY_RULE].includes(group.count_by)
+        ? group.count_by
+        : COUNT_BY_VARIANT;
+      const ruleId = String(group.rule_id || "").trim();
+      if (countBy === COUNT_BY_RULE && !ruleId) return null;
+
+      const startsAt = parseScheduleDate(group.starts_at);
+      const endsAt = parseScheduleDate(group.ends_at);
+      if (!isGroupScheduled({startsAt, endsAt}, today)) return null;
+
+      const groupBuyer = [BUYER_B2B, BUYER_RETAIL].includes(group.buyer) ? group.buyer : BUYER_ALL;
+      const customerTags = Array.isArray(group.customer_tags)
+        ? group.customer_tags.map((tag) => String(tag || "").trim().toLowerCase()).filter(Boolean)
+        : [];
+      if (!isGroupEligible({buyer: groupBuyer, customerTags}, buyer)) return null;
+
+      const target = [TARGET_SHIPPING, TARGET_ORDER, TARGET_BXGY].includes(group.target)
+        ? group.target
+        : TARGET_PRODUCT;
+      const threshold = group.threshold === THRESHOLD_SUBTOTAL ? THRESHOLD_SUBTOTAL : THRESHOLD_QUANTITY;
+      const pricing = target === TARGET_PRODUCT && group.pricing === PRICING_GRADUATED
+        ? PRICING_GRADUATED
+        : PRICING_ALL_UNITS;
+      const marketTierSets = target === TARGET_PRODUCT ? parseMarketTierSets(group.market_tiers) : [];
+      let tiers;
+      if (target === TARGET_ORDER) {
+        tiers = parseOrderTiers(group.tiers, threshold);
+      } else if (target === TARGET_BXGY) {
+        tiers = (Array.isArray(group.tiers) ? group.tiers : []).map(parseBxgyOffer).filter(Boolean);
+      } else {
+        tiers = selectMarketTiers(parseTiers(group.tiers), marketTierSets, localization);
+      }
+      if (!tiers.length) return null;
+
+      const priority = Number.parseInt(String(group.priority ?? "").trim(), 10);
+      const scopeKey = ruleId ? `${countBy}|${ruleId}` : countBy;
+      const marketKeys = marketTierSets.map(getMarketTierSetKey).sort();
+      return {
+        key: `${target}|${scopeKey}|${pricing}|${startsAt}|${endsAt}|${groupBuyer}|${customerTags.join(",")}|${marketKeys.join(",")}`,
+        target,
+        countBy,
+        ruleId,
+        threshold,
+        pricing,
+        priority: Number.isInteger(priority) && priority > 0 ? priority : 0,
+        caps: parseCaps(group.caps),
+        tiers,
+      };
+    })
+    .filter(Boolean);
+};
+
+export const getBucketScopeId = (group, merchandise) => {
+  if (group.countBy === COUNT_BY_RULE) return group.ruleId;
+  if (group.countBy === COUNT_BY_PRODUCT) return merchandise.product?.id || merchandise.id;
+  return merchandise.id;
+};
@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "Rule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "kind" TEXT NOT NULL DEFAULT 'product',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "config" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Rule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RuleTier" (
+    "id" SERIAL NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "minQuantity" INTEGER,
+    "minSubtotal" DOUBLE PRECISION,
+    "percentOff" DOUBLE PRECISION,
+    "amountOff" DOUBLE PRECISION,
+    "unitPrice" DOUBLE PRECISION,
+
+    CONSTRAINT "RuleTier_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RuleTarget" (
+    "id" SERIAL NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "productId" TEXT,
+    "excluded" BOOLEAN NOT NULL DEFAULT false,
+    "tiers" JSONB,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "RuleTarget_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Rule_shop_position_idx" ON "Rule"("shop", "position");
+
+-- CreateIndex
+CREATE INDEX "RuleTier_ruleId_kind_position_idx" ON "RuleTier"("ruleId", "kind", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RuleTarget_ruleId_type_resourceId_key" ON "RuleTarget"("ruleId", "type", "resourceId");
+
+-- CreateIndex
+CREATE INDEX "RuleTarget_resourceId_idx" ON "RuleTarget"("resourceId");
+
+-- AddForeignKey
+ALTER TABLE "RuleTier" ADD CONSTRAINT "RuleTier_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "Rule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RuleTarget" ADD CONSTRAINT "RuleTarget_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "Rule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1;
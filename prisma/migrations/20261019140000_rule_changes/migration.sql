@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "RuleChange" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "staffId" TEXT,
+    "staffName" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RuleChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RuleChange_shop_ruleId_createdAt_idx" ON "RuleChange"("shop", "ruleId", "createdAt");
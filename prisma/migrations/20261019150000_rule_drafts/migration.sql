@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN     "published" JSONB,
+ADD COLUMN     "publishedAt" TIMESTAMP(3);
+
+-- Rules saved before drafts existed are already live; their snapshot is filled in on next load.
+UPDATE "Rule" SET "publishedAt" = CURRENT_TIMESTAMP;
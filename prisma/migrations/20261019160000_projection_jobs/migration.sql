@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "ProjectionJob" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "resourceIds" JSONB NOT NULL DEFAULT '[]',
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "runAfter" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectionJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProjectionJob_status_runAfter_idx" ON "ProjectionJob"("status", "runAfter");
+
+-- CreateIndex
+CREATE INDEX "ProjectionJob_shop_createdAt_idx" ON "ProjectionJob"("shop", "createdAt");